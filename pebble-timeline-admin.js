@@ -0,0 +1,168 @@
+const { buildPin, parseTemplate } = require('./pebble-timeline-pin');
+const { pinValid, colorHex } = require('./pebble-timeline-validation');
+const publish = require('./pebble-timeline-publish');
+const store = require('./pebble-timeline-store');
+
+/**
+ * Admin HTTP API for the editor's Pebble Timeline sidebar and pin preview
+ *
+ * Routes (relative to Node-RED's httpAdminRoot), for a deployed config node:
+ * - GET /pebble-timeline/configs/:id/pins - The pins stored for the config's token
+ * - DELETE /pebble-timeline/configs/:id/pins/:pinId - Delete a pin, as the delete node does
+ * - POST /pebble-timeline/configs/:id/pins/:pinId/resend - Send a stored pin again, as the add node does
+ *
+ * And for the add node's edit dialog:
+ * - POST /pebble-timeline/preview - Build the pin an add node would send for a
+ *   sample message, from its unsaved settings and those of its pin template
+ *
+ * Reading needs the pebble-timeline.read permission; deleting, sending and
+ * previewing need pebble-timeline.write. A preview evaluates the settings it
+ * is given, including env variables, JSONata and flow and global context, so
+ * it is kept from users who can only read.
+ */
+
+const BASE_PATH = '/pebble-timeline/configs/:id';
+
+let mounted = false;
+
+/**
+ * Register the routes on RED.httpAdmin. Safe to call more than once.
+ * @param {object} RED - The Node-RED runtime API
+ */
+function mount(RED) {
+    if (mounted || !RED.httpAdmin) return;
+    mounted = true;
+
+    const canRead = RED.auth.needsPermission('pebble-timeline.read');
+    const canWrite = RED.auth.needsPermission('pebble-timeline.write');
+
+    RED.httpAdmin.get(BASE_PATH + '/pins', canRead, function(req, res) {
+        const configNode = findConfig(RED, req, res);
+        if (!configNode) return;
+
+        const target = publish.resolveTarget(configNode);
+        store.refresh(target.storeKey).then(() => {
+            res.json({
+                mode: target.isLocalMode ? 'local' : 'remote',
+                pins: store.getPins(target.storeKey)
+            });
+        }).catch(err => sendError(res, 500, err));
+    });
+
+    RED.httpAdmin.delete(BASE_PATH + '/pins/:pinId', canWrite, function(req, res) {
+        const configNode = findConfig(RED, req, res);
+        if (!configNode) return;
+
+        publish.deletePin(configNode, publish.resolveTarget(configNode), req.params.pinId)
+            .then(result => res.json(summarize(result)))
+            .catch(err => sendError(res, 500, err));
+    });
+
+    RED.httpAdmin.post(BASE_PATH + '/pins/:pinId/resend', canWrite, function(req, res) {
+        const configNode = findConfig(RED, req, res);
+        if (!configNode) return;
+
+        const target = publish.resolveTarget(configNode);
+        const pin = store.getPin(target.storeKey, req.params.pinId);
+        if (!pin) {
+            res.status(404).json({ success: false, error: `Pin ${req.params.pinId} is not stored` });
+            return;
+        }
+
+        publish.putPin(configNode, target, pin)
+            .then(result => res.json(summarize(result)))
+            .catch(err => sendError(res, 500, err));
+    });
+
+    // Body: { config: the add node's settings, msg: a sample message,
+    // template: the settings of its pin template node, if it has one }
+    RED.httpAdmin.post('/pebble-timeline/preview', canWrite, function(req, res) {
+        const config = req.body && req.body.config;
+        if (!config || typeof config !== 'object') {
+            res.status(400).json({ success: false, error: "The node's settings are required" });
+            return;
+        }
+        const msg = req.body.msg && typeof req.body.msg === 'object' ? req.body.msg : {};
+
+        const options = { sources: {} };
+        if (req.body.template && typeof req.body.template === 'object') {
+            try {
+                options.template = parseTemplate(req.body.template);
+            } catch (err) {
+                sendError(res, 400, new Error(`Pin template is invalid: ${err.message}`));
+                return;
+            }
+        }
+
+        const warnings = [];
+        buildPin(RED, previewNode(RED, config, warnings), config, msg, options).then(pin => {
+            const colors = {};
+            for (const field of ['primaryColor', 'secondaryColor', 'backgroundColor']) {
+                if (pin.layout[field] !== undefined) colors[field] = colorHex(pin.layout[field]);
+            }
+
+            res.json({
+                success: true,
+                pin: pin,
+                colors: colors,
+                validation: pinValid(pin.id, pin),
+                sources: options.sources,
+                warnings: warnings
+            });
+        }).catch(err => sendError(res, 400, err));
+    });
+}
+
+// Stands in for the add node while building a preview, collecting its
+// warnings. Flow and global context are those of the deployed node, and
+// empty while it is not deployed.
+function previewNode(RED, config, warnings) {
+    const deployed = config.id ? RED.nodes.getNode(config.id) : null;
+    const empty = {
+        get: function(key, storeName, callback) {
+            callback = typeof storeName === 'function' ? storeName : callback;
+            if (callback) callback(null, undefined);
+        },
+        keys: function(storeName, callback) {
+            callback = typeof storeName === 'function' ? storeName : callback;
+            if (callback) callback(null, []);
+            else return [];
+        }
+    };
+
+    return {
+        id: config.id,
+        type: config.type,
+        z: config.z,
+        _flow: deployed ? deployed._flow : undefined,
+        context: deployed ? () => deployed.context() : () => ({ flow: empty, global: empty, get: empty.get }),
+        warn: text => warnings.push(String(text)),
+        error: text => warnings.push(String(text)),
+        log: function() {}
+    };
+}
+
+// Returns the deployed config node, or sends a 404 and returns null
+function findConfig(RED, req, res) {
+    const configNode = RED.nodes.getNode(req.params.id);
+    if (!configNode || configNode.type !== 'pebble-timeline-config') {
+        res.status(404).json({ success: false, error: "Config node not found, it may need to be deployed" });
+        return null;
+    }
+    return configNode;
+}
+
+// The outcome without the server's response body
+function summarize(result) {
+    const summary = { success: result.success };
+    for (const field of ['mode', 'status', 'error', 'validationError', 'alreadyDeleted', 'queued']) {
+        if (result[field] !== undefined) summary[field] = result[field];
+    }
+    return summary;
+}
+
+function sendError(res, status, err) {
+    res.status(status).json({ success: false, error: err.message });
+}
+
+module.exports = { mount };
@@ -0,0 +1,192 @@
+const { pinValid } = require('./pebble-timeline-validation');
+const { evaluateSingleProperty } = require('./pebble-timeline-pin');
+const store = require('./pebble-timeline-store');
+
+/**
+ * Node-RED node for exporting and importing the local pin store
+ *
+ * An export is a versioned JSON document with the stored pins of the node's
+ * timeline token, or of every token, including the store's bookkeeping fields
+ * so an import on another host still knows which pins were sent. Imports
+ * validate every pin and either merge with or replace the stored pins. Pins
+ * are not sent again, so their times may be outside the server's window.
+ */
+
+const FORMAT = 'node-red-pebble-timeline-pins';
+const VERSION = 1;
+
+module.exports = function(RED) {
+    function PebbleTimelineBackupNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get the config node
+        const configNode = RED.nodes.getNode(config.config);
+        if (!configNode) {
+            node.error("No Pebble Timeline configuration found");
+            return;
+        }
+
+        store.init(RED.settings.userDir);
+        store.watch(node);
+
+        node.on('input', async function(msg, send, done) {
+            // Backwards compatibility with Node-RED 0.x
+            send = send || function() { node.send.apply(node, arguments) };
+
+            try {
+                node.status({fill: "blue", shape: "dot", text: "Processing..."});
+
+                const action = msg.action || config.action || 'export';
+                const scope = msg.scope || config.scope || 'token';
+                if (scope !== 'token' && scope !== 'all') {
+                    throw new Error(`Unknown scope: ${scope}`);
+                }
+
+                let tokenOverride = null;
+                try {
+                    tokenOverride = await evaluateSingleProperty(RED, config.token, config.tokenType, node, msg);
+                } catch (err) {
+                    node.warn(`Error evaluating token override: ${err.message}`);
+                }
+                const key = store.resolveKey(configNode, tokenOverride);
+
+                if (action === 'export') {
+                    msg.payload = await exportPins(key, scope);
+                    const count = countPins(msg.payload);
+                    node.status({fill: "green", shape: "dot", text: `Exported ${count} pins`});
+                } else if (action === 'import') {
+                    const replace = (msg.mode || config.importMode) === 'replace';
+                    const result = await importPins(key, scope, parseExport(msg.payload), replace);
+                    if (result.rejected.length > 0) {
+                        node.status({fill: "yellow", shape: "dot", text: `Imported ${result.imported}, rejected ${result.rejected.length}`});
+                    } else {
+                        node.status({fill: "green", shape: "dot", text: `Imported ${result.imported} pins`});
+                    }
+                    msg.payload = {
+                        success: result.rejected.length === 0,
+                        mode: replace ? 'replace' : 'merge',
+                        imported: result.imported,
+                        rejected: result.rejected
+                    };
+                } else {
+                    throw new Error(`Unknown action: ${action}`);
+                }
+
+                send(msg);
+                if (done) done();
+            } catch (err) {
+                node.status({fill: "red", shape: "dot", text: "Error: " + err.message});
+
+                msg.payload = {
+                    success: false,
+                    error: err.message
+                };
+
+                send(msg);
+                if (done) done();
+            }
+        });
+
+        node.on('close', function() {
+        });
+    }
+
+    async function exportPins(key, scope) {
+        const doc = {
+            format: FORMAT,
+            version: VERSION,
+            exported: new Date().toISOString()
+        };
+
+        if (scope === 'all') {
+            doc.tokens = {};
+            for (const k of store.getKeys()) {
+                await store.refresh(k);
+                doc.tokens[k] = store.getPins(k);
+            }
+        } else {
+            await store.refresh(key);
+            doc.pins = store.getPins(key);
+        }
+        return doc;
+    }
+
+    // The pins to import for each store key. An export of every token can be
+    // imported for the node's token only, taking that token's pins.
+    async function importPins(key, scope, doc, replace) {
+        let byKey;
+        if (doc.tokens) {
+            if (scope === 'all') {
+                byKey = doc.tokens;
+            } else if (Array.isArray(doc.tokens[key])) {
+                byKey = { [key]: doc.tokens[key] };
+            } else {
+                throw new Error("The export has no pins for this timeline token");
+            }
+        } else if (scope === 'all') {
+            throw new Error("The export only holds the pins of one token; import it with the token scope");
+        } else {
+            byKey = { [key]: doc.pins };
+        }
+
+        const result = { imported: 0, rejected: [] };
+
+        for (const [k, entries] of Object.entries(byKey)) {
+            if (!Array.isArray(entries)) {
+                throw new Error(`The pins of ${scope === 'all' ? 'a token' : 'the token'} must be an array`);
+            }
+
+            const valid = [];
+            for (const entry of entries) {
+                const pin = entry && typeof entry === 'object' ? store.stripMetadata(entry) : entry;
+                const validation = pinValid(pin && pin.id, pin, { ignoreTimeWindow: true });
+                if (validation.valid) {
+                    valid.push(entry);
+                } else {
+                    result.rejected.push({ pinId: pin && pin.id, error: validation.error });
+                }
+            }
+
+            await store.importPins(k, valid, { replace: replace });
+            result.imported += valid.length;
+        }
+
+        // Replacing every token also clears the tokens missing from the export
+        if (replace && scope === 'all') {
+            for (const k of store.getKeys()) {
+                if (!byKey[k]) await store.importPins(k, [], { replace: true });
+            }
+        }
+
+        return result;
+    }
+
+    function parseExport(payload) {
+        let doc = payload;
+        if (typeof doc === 'string' || Buffer.isBuffer(doc)) {
+            try {
+                doc = JSON.parse(doc.toString());
+            } catch (e) {
+                throw new Error(`Export is not valid JSON: ${e.message}`);
+            }
+        }
+
+        if (!doc || typeof doc !== 'object' || doc.format !== FORMAT) {
+            throw new Error("Payload is not a pin export");
+        }
+        if (!Number.isInteger(doc.version) || doc.version > VERSION) {
+            throw new Error(`Unsupported export version: ${doc.version}`);
+        }
+        return doc;
+    }
+
+    function countPins(doc) {
+        if (doc.pins) return doc.pins.length;
+        return Object.values(doc.tokens).reduce((total, pins) => total + pins.length, 0);
+    }
+
+    RED.nodes.registerType("pebble-timeline-backup", PebbleTimelineBackupNode, {
+        credentials: {}
+    });
+};
@@ -1,13 +1,59 @@
+const store = require('./pebble-timeline-store');
+const storage = require('./pebble-timeline-storage');
+const mock = require('./pebble-timeline-mock');
+const admin = require('./pebble-timeline-admin');
+const outbox = require('./pebble-timeline-outbox');
+
 module.exports = function(RED) {
+    store.init(RED.settings.userDir);
+    mock.mount(RED);
+    admin.mount(RED);
+    outbox.setNodeLookup(id => RED.nodes.getNode(id));
+
+    for (const recovery of store.getRecoveries()) {
+        RED.log.error(`Pebble Timeline: ${recovery.file} could not be read (${recovery.error}). ` +
+            (recovery.quarantined ? `It was moved to ${recovery.quarantined}` : "It could not be moved aside") +
+            (recovery.restored ? ` and ${recovery.restored} was restored.` : " and no readable backup was found, so it starts empty."));
+    }
+
     function PebbleTimelineConfigNode(n) {
         RED.nodes.createNode(this, n);
         this.name = n.name;
         this.apiUrl = n.apiUrl;
+        this.rateLimit = Number(n.rateLimit) || 1;
+        this.rateBurst = Number(n.rateBurst) || 5;
+        this.mockApi = !!n.mockApi;
+
+        // Keep this configuration's pins in a context store instead of the files
+        if (n.storage === 'context') {
+            const backend = storage.contextBackend(this.context().global, n.contextStore);
+            this.on('close', store.useBackend(store.resolveKey(this), backend, err => {
+                this.error(`Error loading pins from context store: ${err.message}`);
+            }));
+        }
+
+        // Finish writing the pin storage before Node-RED stops or redeploys
+        this.on('close', function(removed, done) {
+            store.flush().then(() => done());
+        });
+
+        // How long the local pin store keeps this configuration's pins
+        const graceDays = parseFloat(n.retentionDays);
+        this.on('close', store.setRetention(store.resolveKey(this), {
+            graceDays: graceDays >= 0 ? graceDays : undefined,
+            maxPins: Number(n.retentionMaxPins) || 0,
+            keepFuture: n.retentionKeepFuture !== false
+        }));
+
+        if (this.mockApi) {
+            this.on('close', mock.enable());
+        }
     }
     
     RED.nodes.registerType("pebble-timeline-config", PebbleTimelineConfigNode, {
         credentials: {
-            timelineToken: { type: "password" }
+            timelineToken: { type: "password" },
+            apiKey: { type: "password" }
         }
     });
 };
@@ -1,5 +1,13 @@
-const axios = require('axios');
+const { evaluateSingleProperty } = require('./pebble-timeline-pin');
+const { compileFilter, hasCriteria } = require('./pebble-timeline-filter');
+const publish = require('./pebble-timeline-publish');
 const store = require('./pebble-timeline-store');
+const outbox = require('./pebble-timeline-outbox');
+const limiter = require('./pebble-timeline-limiter');
+
+// Pins deleted at the same time in bulk mode; the rate limiter still spaces
+// out the requests themselves
+const DEFAULT_CONCURRENCY = 4;
 
 module.exports = function(RED) {
     function PebbleTimelineDeleteNode(config) {
@@ -13,6 +21,10 @@ module.exports = function(RED) {
         }
 
         store.init(RED.settings.userDir);
+        store.watch(node);
+        outbox.start();
+        outbox.watch(node);
+        limiter.watch(node);
 
         node.on('input', function(msg, send, done) {
             send = send || function() { node.send.apply(node, arguments) };
@@ -21,8 +33,10 @@ module.exports = function(RED) {
             let apiUrlOverride = null;
             let tokenOverride = null;
 
+            const bulk = config.mode === 'bulk';
+
             Promise.all([
-                new Promise(resolve => {
+                bulk ? Promise.resolve() : new Promise(resolve => {
                     RED.util.evaluateNodeProperty(config.pinId, config.pinIdType, node, msg, (err, result) => {
                         if (err) {
                             node.error(`Error evaluating pin ID: ${err.message}`, msg);
@@ -67,21 +81,22 @@ module.exports = function(RED) {
                     }
                 })
             ]).then(async () => {
-                const baseApiUrl = apiUrlOverride || configNode.apiUrl;
-                const timelineToken = tokenOverride || configNode.credentials.timelineToken;
-                const storeKey = store.resolveKey(configNode, tokenOverride);
+                const target = publish.resolveTarget(configNode, apiUrlOverride, tokenOverride);
 
-                const isLocalMode = !baseApiUrl || baseApiUrl.trim() === '';
+                if (!target.isLocalMode && !target.timelineToken) {
+                    node.error("Timeline token is required", msg);
+                    if (done) done("Timeline token is required");
+                    return;
+                }
 
-                if (isLocalMode) {
-                    node.debug(`Local emulation mode - deleting pin locally`);
+                if (bulk) {
+                    await deleteMatching(msg, send, done, target);
+                    return;
+                }
 
-                    try {
-                        await store.removePin(storeKey, pinId);
-                    } catch (e) {
-                        node.warn(`Error removing pin from local storage: ${e.message}`);
-                    }
+                const result = await publish.deletePin(node, target, pinId);
 
+                if (result.mode === 'local') {
                     node.status({fill: "green", shape: "dot", text: "Pin deleted (local)"});
 
                     msg.payload = {
@@ -90,81 +105,130 @@ module.exports = function(RED) {
                         mode: 'local',
                         message: 'Pin deleted from local storage'
                     };
+                } else if (result.alreadyDeleted) {
+                    node.warn(`Pin ${pinId} not found on server (404) - assuming already deleted`);
+                    node.status({fill: "yellow", shape: "dot", text: "Pin already deleted"});
 
-                    send(msg);
-                    if (done) done();
-                } else {
-                    const apiUrl = `${baseApiUrl}/v1/user/pins/${pinId}`;
-
-                    if (!timelineToken) {
-                        node.error("Timeline token is required", msg);
-                        if (done) done("Timeline token is required");
-                        return;
-                    }
+                    msg.payload = {
+                        success: true,
+                        pinId: pinId,
+                        alreadyDeleted: true,
+                        message: "Pin not found on server, removed from local storage"
+                    };
+                } else if (result.success) {
+                    node.status({fill: "green", shape: "dot", text: "Pin deleted"});
 
-                    axios.delete(apiUrl, {
-                        headers: {
-                            'X-User-Token': timelineToken
-                        }
-                    })
-                    .then(async response => {
-                        node.status({fill: "green", shape: "dot", text: "Pin deleted"});
-
-                        try {
-                            await store.removePin(storeKey, pinId);
-                        } catch (e) {
-                            node.warn(`Error removing pin from local storage: ${e.message}`);
-                        }
+                    msg.payload = {
+                        success: true,
+                        pinId: pinId,
+                        response: result.response
+                    };
+                } else {
+                    node.status({fill: "red", shape: "dot", text: "Error: " + (result.status || result.error)});
 
-                        msg.payload = {
-                            success: true,
-                            pinId: pinId,
-                            response: response.data
-                        };
-
-                        send(msg);
-                        if (done) done();
-                    })
-                    .catch(async error => {
-                        if (error.response && error.response.status === 404) {
-                            node.warn(`Pin ${pinId} not found on server (404) - assuming already deleted`);
-                            node.status({fill: "yellow", shape: "dot", text: "Pin already deleted"});
-
-                            try {
-                                await store.removePin(storeKey, pinId);
-                            } catch (e) {
-                                node.warn(`Error removing pin from local storage: ${e.message}`);
-                            }
+                    // Network errors and server errors have been queued for retry
+                    msg.payload = {
+                        success: false,
+                        pinId: pinId,
+                        error: result.error,
+                        response: result.response
+                    };
+                    if (result.queued) msg.payload.queued = true;
 
-                            msg.payload = {
-                                success: true,
-                                pinId: pinId,
-                                alreadyDeleted: true,
-                                message: "Pin not found on server, removed from local storage"
-                            };
-
-                            send(msg);
-                            if (done) done();
-                        } else {
-                            node.status({fill: "red", shape: "dot", text: "Error: " + (error.response ? error.response.status : error.message)});
-
-                            msg.payload = {
-                                success: false,
-                                pinId: pinId,
-                                error: error.message,
-                                response: error.response ? error.response.data : null
-                            };
-
-                            send(msg);
-                            if (done) done(error);
-                        }
-                    });
+                    send(msg);
+                    if (done) done(result.queued ? undefined : result.error);
+                    return;
                 }
+
+                send(msg);
+                if (done) done();
             }).catch(err => {
+                node.status({fill: "red", shape: "dot", text: "Error: " + err.message});
                 if (done) done(err);
             });
         });
 
+        // Bulk mode: delete every stored pin for the token that matches the
+        // filter, a few at a time, and report the result for each pin
+        async function deleteMatching(msg, send, done, target) {
+            const filter = await bulkFilter(msg);
+            const deleteAll = config.deleteAll === true || (msg.filter && msg.filter.all === true);
+
+            if (!deleteAll && !hasCriteria(filter)) {
+                const errMsg = "Bulk delete needs a filter, or \"Delete All\" to be enabled";
+                node.status({fill: "red", shape: "dot", text: "No filter"});
+                node.error(errMsg, msg);
+                if (done) done(errMsg);
+                return;
+            }
+
+            const matches = deleteAll ? () => true : compileFilter(filter);
+            await store.refresh(target.storeKey);
+            const pins = store.getPins(target.storeKey).filter(matches);
+            const concurrency = Number(config.concurrency) || DEFAULT_CONCURRENCY;
+            let finished = 0;
+
+            node.status({fill: "blue", shape: "dot", text: `Deleting 0/${pins.length}`});
+
+            const results = await publish.mapLimit(pins, concurrency, async pin => {
+                const result = await publish.deletePin(node, target, pin.id);
+                finished++;
+                node.status({fill: "blue", shape: "dot", text: `Deleting ${finished}/${pins.length}`});
+
+                const entry = { pinId: pin.id, success: result.success };
+                if (result.alreadyDeleted) entry.alreadyDeleted = true;
+                if (result.queued) entry.queued = true;
+                if (!result.success) entry.error = result.error;
+                return entry;
+            });
+
+            const deleted = results.filter(r => r.success).length;
+            const queued = results.filter(r => r.queued).length;
+            const failed = results.length - deleted - queued;
+
+            if (failed > 0) {
+                node.status({fill: "red", shape: "dot", text: `${deleted} deleted, ${failed} failed`});
+            } else if (queued > 0) {
+                node.status({fill: "yellow", shape: "dot", text: `${deleted} deleted, ${queued} queued`});
+            } else {
+                node.status({fill: "green", shape: "dot", text: `${deleted} pins deleted${target.isLocalMode ? ' (local)' : ''}`});
+            }
+
+            msg.payload = {
+                success: failed === 0 && queued === 0,
+                matched: pins.length,
+                deleted: deleted,
+                queued: queued,
+                failed: failed,
+                results: results
+            };
+            if (target.isLocalMode) msg.payload.mode = 'local';
+
+            send(msg);
+            if (done) done();
+        }
+
+        // The node's filter settings, overridden field by field by msg.filter
+        async function bulkFilter(msg) {
+            const filter = {
+                idPrefix: config.idPrefix,
+                idRegex: config.idRegex,
+                layoutType: config.layoutType,
+                startTime: await evaluateSingleProperty(RED, config.startTime, config.startTimeType, node, msg),
+                endTime: await evaluateSingleProperty(RED, config.endTime, config.endTimeType, node, msg),
+                // Only set through msg.filter
+                text: undefined,
+                when: undefined
+            };
+
+            if (msg.filter && typeof msg.filter === 'object') {
+                for (const field of Object.keys(filter)) {
+                    if (msg.filter[field] !== undefined) filter[field] = msg.filter[field];
+                }
+            }
+            return filter;
+        }
+
         node.on('close', function() {
         });
     }
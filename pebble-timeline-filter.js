@@ -0,0 +1,101 @@
+/**
+ * Selecting stored pins by id, layout type and time
+ *
+ * Used by the nodes that act on a set of stored pins rather than a single id.
+ *
+ * Filter fields (all optional, a pin must match every one given):
+ * - idPrefix: String - The pin id starts with this text
+ * - idRegex: String|RegExp - The pin id matches this regular expression
+ * - layoutType: String - The pin's layout type
+ * - startTime: String|Date - The pin starts at or after this time
+ * - endTime: String|Date - The pin starts at or before this time
+ * - text: String - The pin's title, subtitle or body contains this text, ignoring case
+ * - when: String - "upcoming" (not started), "active" (started and not ended)
+ *   or "current" (not ended), where a pin ends after its duration
+ */
+
+const WHEN = ['upcoming', 'active', 'current'];
+
+/**
+ * Turn filter fields into a predicate for pins
+ * @param {object} filter - The filter fields
+ * @returns {Function} Predicate taking a pin and returning whether it matches
+ * @throws {Error} If the regular expression or a time is invalid
+ */
+function compileFilter(filter) {
+    const tests = [];
+
+    if (filter.idPrefix) {
+        const prefix = String(filter.idPrefix);
+        tests.push(pin => String(pin.id).startsWith(prefix));
+    }
+
+    if (filter.idRegex) {
+        let regex;
+        try {
+            regex = filter.idRegex instanceof RegExp ? filter.idRegex : new RegExp(filter.idRegex);
+        } catch (e) {
+            throw new Error(`Invalid id regex: ${e.message}`);
+        }
+        tests.push(pin => regex.test(String(pin.id)));
+    }
+
+    if (filter.layoutType) {
+        tests.push(pin => pin.layout && pin.layout.type === filter.layoutType);
+    }
+
+    if (filter.startTime) {
+        const startTime = toDate(filter.startTime, 'start time');
+        tests.push(pin => new Date(pin.time) >= startTime);
+    }
+
+    if (filter.endTime) {
+        const endTime = toDate(filter.endTime, 'end time');
+        tests.push(pin => new Date(pin.time) <= endTime);
+    }
+
+    if (filter.text) {
+        const text = String(filter.text).toLowerCase();
+        tests.push(pin => ['title', 'subtitle', 'body'].some(field =>
+            pin.layout && typeof pin.layout[field] === 'string' && pin.layout[field].toLowerCase().includes(text)));
+    }
+
+    if (filter.when) {
+        if (!WHEN.includes(filter.when)) {
+            throw new Error(`Invalid when: ${filter.when}, must be one of ${WHEN.join(', ')}`);
+        }
+        const now = Date.now();
+        tests.push(pin => {
+            const start = new Date(pin.time).getTime();
+            const end = start + (Number(pin.duration) || 0) * 60 * 1000;
+            if (filter.when === 'upcoming') return start > now;
+            if (filter.when === 'active') return start <= now && end >= now;
+            return end >= now;
+        });
+    }
+
+    return pin => tests.every(test => test(pin));
+}
+
+/**
+ * Whether any filter field is set, so an empty filter can be told apart from
+ * one that happens to match every pin
+ * @param {object} filter - The filter fields
+ * @returns {boolean} True if at least one field is set
+ */
+function hasCriteria(filter) {
+    return ['idPrefix', 'idRegex', 'layoutType', 'startTime', 'endTime', 'text', 'when'].some(field => !!filter[field]);
+}
+
+function toDate(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name}: ${value}`);
+    }
+    return date;
+}
+
+module.exports = {
+    compileFilter,
+    hasCriteria
+};
@@ -0,0 +1,278 @@
+const rrule = require('./pebble-timeline-rrule');
+
+/**
+ * iCalendar (RFC 5545) parsing for calendar import
+ *
+ * Reads the VEVENTs of a calendar with their alarms, and lists the event
+ * instances within a time range, expanding recurrences and applying
+ * RECURRENCE-ID overrides and cancellations.
+ *
+ * TZID parameters are expected to be IANA time zone names, as used by most
+ * calendar services; VTIMEZONE definitions are not read. Times in an unknown
+ * time zone are read in the calendar's default time zone instead and listed
+ * in the calendar's warnings.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse the events of an iCalendar document
+ * @param {string} text - The iCalendar text
+ * @returns {object} Calendar with name, timeZone (X-WR-TIMEZONE), events and warnings
+ * @throws {Error} If the text is not an iCalendar document
+ */
+function parseCalendar(text) {
+    const lines = unfold(String(text));
+    if (!lines.some(line => /^BEGIN:VCALENDAR$/i.test(line))) {
+        throw new Error('Not an iCalendar document (no BEGIN:VCALENDAR)');
+    }
+
+    const calendar = { name: null, timeZone: null, events: [], warnings: [] };
+    const stack = [];
+    let event = null;
+    let alarm = null;
+
+    for (const line of lines) {
+        const prop = parseLine(line);
+        if (!prop) continue;
+
+        if (prop.name === 'BEGIN') {
+            stack.push(prop.value.toUpperCase());
+            if (prop.value.toUpperCase() === 'VEVENT') {
+                event = { exdates: [], alarms: [] };
+            } else if (prop.value.toUpperCase() === 'VALARM' && event) {
+                alarm = {};
+            }
+            continue;
+        }
+
+        if (prop.name === 'END') {
+            const component = stack.pop();
+            if (component === 'VEVENT' && event) {
+                if (event.uid && event.start) calendar.events.push(event);
+                event = null;
+            } else if (component === 'VALARM' && alarm) {
+                if (alarm.trigger && alarm.action !== 'EMAIL') event.alarms.push(alarm);
+                alarm = null;
+            }
+            continue;
+        }
+
+        const component = stack[stack.length - 1];
+
+        if (component === 'VCALENDAR') {
+            if (prop.name === 'X-WR-CALNAME') calendar.name = unescapeText(prop.value);
+            if (prop.name === 'X-WR-TIMEZONE') calendar.timeZone = prop.value;
+        } else if (component === 'VALARM' && alarm) {
+            if (prop.name === 'ACTION') alarm.action = prop.value.toUpperCase();
+            if (prop.name === 'TRIGGER') alarm.trigger = parseTrigger(prop);
+        } else if (component === 'VEVENT' && event) {
+            switch (prop.name) {
+                case 'UID': event.uid = prop.value; break;
+                case 'SUMMARY': event.summary = unescapeText(prop.value); break;
+                case 'DESCRIPTION': event.description = unescapeText(prop.value); break;
+                case 'LOCATION': event.location = unescapeText(prop.value); break;
+                case 'STATUS': event.status = prop.value.toUpperCase(); break;
+                case 'ORGANIZER': event.organizer = prop.params.CN || prop.value.replace(/^mailto:/i, ''); break;
+                case 'DTSTART': event.start = parseDateValue(prop); break;
+                case 'DTEND': event.end = parseDateValue(prop); break;
+                case 'DURATION': event.duration = parseDuration(prop.value); break;
+                case 'RRULE': event.rrule = prop.value; break;
+                case 'EXDATE':
+                    prop.value.split(',').forEach(value => {
+                        event.exdates.push(parseDateValue({ value: value, params: prop.params }));
+                    });
+                    break;
+                case 'RECURRENCE-ID': event.recurrenceId = parseDateValue(prop); break;
+            }
+        }
+    }
+
+    return calendar;
+}
+
+/**
+ * List the event instances that overlap a time range
+ * @param {object} calendar - Calendar from parseCalendar
+ * @param {object} options - after and before (Dates), and timeZone for floating times
+ *   and all-day events (defaults to the calendar's time zone, then the server's)
+ * @returns {Array} Instances with event, start, end, allDay and recurrenceId
+ *   (the original start, which identifies the instance within its event)
+ */
+function instances(calendar, options) {
+    const defaultZone = [options.timeZone, calendar.timeZone].find(tz => tz && rrule.timeZoneValid(tz)) || '';
+    const resolve = time => toInstant(time, defaultZone, calendar.warnings);
+
+    // Overrides replace single instances of a recurring event
+    const overrides = new Map();
+    for (const event of calendar.events) {
+        if (event.recurrenceId) {
+            overrides.set(event.uid + '/' + resolve(event.recurrenceId).getTime(), event);
+        }
+    }
+
+    const result = [];
+    const add = (event, start, recurrenceId) => {
+        if (event.status === 'CANCELLED') return;
+        const end = new Date(start.getTime() + durationOf(event, resolve));
+        if (end < options.after || start > options.before) return;
+        result.push({ event: event, start: start, end: end, allDay: event.start.date, recurrenceId: recurrenceId });
+    };
+
+    for (const event of calendar.events) {
+        if (event.recurrenceId) continue;
+
+        const start = resolve(event.start);
+        if (!event.rrule) {
+            add(event, start, start);
+            continue;
+        }
+
+        let rule;
+        try {
+            rule = rrule.parseRule(event.rrule);
+        } catch (e) {
+            calendar.warnings.push(`${event.uid}: ${e.message}, only the first instance is imported`);
+            add(event, start, start);
+            continue;
+        }
+
+        const zone = event.start.utc ? 'UTC' : zoneOf(event.start, defaultZone);
+        const length = durationOf(event, resolve);
+        const times = rrule.expand(rule, start, {
+            timeZone: zone,
+            // Instances that started earlier may still be running
+            after: new Date(options.after.getTime() - length),
+            before: options.before,
+            exclude: event.exdates.map(exdate => exdate.date ? dateKey(exdate.wall) : resolve(exdate))
+        });
+
+        for (const time of times) {
+            const override = overrides.get(event.uid + '/' + time.getTime());
+            if (override) {
+                add(override, resolve(override.start), time);
+            } else {
+                add(event, time, time);
+            }
+        }
+    }
+
+    return result.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * The time of an alarm for an event instance, or null if it cannot be worked out
+ * @param {object} alarm - Alarm from an event
+ * @param {object} instance - Instance from instances()
+ * @returns {Date|null} The alarm time
+ */
+function alarmTime(alarm, instance) {
+    if (alarm.trigger.instant) return alarm.trigger.instant;
+    if (alarm.trigger.offset === undefined) return null;
+    const base = alarm.trigger.related === 'END' ? instance.end : instance.start;
+    return new Date(base.getTime() + alarm.trigger.offset);
+}
+
+// Lines starting with a space or tab continue the previous line
+function unfold(text) {
+    const lines = [];
+    for (const line of text.split(/\r?\n/)) {
+        if ((line.startsWith(' ') || line.startsWith('\t')) && lines.length > 0) {
+            lines[lines.length - 1] += line.substring(1);
+        } else if (line.length > 0) {
+            lines.push(line);
+        }
+    }
+    return lines;
+}
+
+// NAME;PARAM=VALUE;PARAM="QUOTED:VALUE":VALUE
+function parseLine(line) {
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        else if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon < 0) return null;
+
+    const [name, ...params] = line.substring(0, colon).split(';');
+    const prop = { name: name.toUpperCase(), params: {}, value: line.substring(colon + 1) };
+    for (const param of params) {
+        const eq = param.indexOf('=');
+        if (eq > 0) {
+            prop.params[param.substring(0, eq).toUpperCase()] = param.substring(eq + 1).replace(/^"|"$/g, '');
+        }
+    }
+    return prop;
+}
+
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, c) => c === 'n' || c === 'N' ? '\n' : c);
+}
+
+// A DATE or DATE-TIME value, kept as wall clock time until its time zone is known
+function parseDateValue(prop) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(prop.value.trim());
+    if (!match) return null;
+
+    const isDate = !match[4];
+    return {
+        date: isDate,
+        utc: !!match[7],
+        tzid: prop.params.TZID || null,
+        wall: new Date(Date.UTC(+match[1], +match[2] - 1, +match[3],
+            isDate ? 0 : +match[4], isDate ? 0 : +match[5], isDate ? 0 : +match[6]))
+    };
+}
+
+// DURATION values such as P1D, PT1H30M or -PT15M, in milliseconds
+function parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+    if (!match) return undefined;
+    const ms = ((+match[2] || 0) * 7 * DAY) + ((+match[3] || 0) * DAY) +
+        ((+match[4] || 0) * 3600000) + ((+match[5] || 0) * 60000) + ((+match[6] || 0) * 1000);
+    return match[1] === '-' ? -ms : ms;
+}
+
+function parseTrigger(prop) {
+    if (prop.params.VALUE === 'DATE-TIME') {
+        const time = parseDateValue(prop);
+        return time && time.utc ? { instant: time.wall } : {};
+    }
+    return { offset: parseDuration(prop.value), related: (prop.params.RELATED || 'START').toUpperCase() };
+}
+
+function zoneOf(time, defaultZone) {
+    if (time.tzid && rrule.timeZoneValid(time.tzid)) return time.tzid;
+    return defaultZone;
+}
+
+function toInstant(time, defaultZone, warnings) {
+    if (time.utc) return new Date(time.wall.getTime());
+    if (time.tzid && !rrule.timeZoneValid(time.tzid)) {
+        const warning = `Unknown time zone ${time.tzid}, using ${defaultZone || 'the server time zone'}`;
+        if (!warnings.includes(warning)) warnings.push(warning);
+    }
+    return rrule.wallToInstant(time.wall, zoneOf(time, defaultZone));
+}
+
+// DTEND, else DURATION, else one day for all-day events and none for others
+function durationOf(event, resolve) {
+    if (event.end) return Math.max(0, resolve(event.end) - resolve(event.start));
+    if (event.duration !== undefined) return Math.max(0, event.duration);
+    return event.start.date ? DAY : 0;
+}
+
+function dateKey(wall) {
+    return wall.toISOString().substring(0, 10);
+}
+
+module.exports = {
+    parseCalendar,
+    instances,
+    alarmTime
+};
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const { evaluateSingleProperty } = require('./pebble-timeline-pin');
+const ical = require('./pebble-timeline-ical');
+const rrule = require('./pebble-timeline-rrule');
+const publish = require('./pebble-timeline-publish');
+const { reconcile, namespaceValid } = require('./pebble-timeline-reconcile');
+const store = require('./pebble-timeline-store');
+const outbox = require('./pebble-timeline-outbox');
+const limiter = require('./pebble-timeline-limiter');
+
+/**
+ * Node-RED node for importing an iCalendar (ICS) feed
+ *
+ * Every event instance within the window becomes a calendarPin. The pins of a
+ * calendar share an id prefix, and each import is synced against the pins
+ * stored for that prefix by the previous one: new events are added, changed
+ * events are updated and events no longer in the calendar are deleted.
+ *
+ * Pin ids are made from the prefix, a hash of the event UID and the original
+ * start of the instance, e.g. "ics-3f2a9c01b7d4-20261020T0600", so an instance
+ * keeps its id when it is edited or moved.
+ */
+
+const DEFAULT_PREFIX = 'ics';
+const MAX_PREFIX_LENGTH = 32;
+const DEFAULT_WINDOW_DAYS = 30;
+// The validation accepts pins up to a year ahead and two days back
+const MAX_WINDOW_DAYS = 365;
+const DAY = 24 * 60 * 60 * 1000;
+const PAST_LIMIT = 2 * DAY - 60 * 60 * 1000;
+const MAX_REMINDERS = 3;
+const CALENDAR_ICON = "system://images/TIMELINE_CALENDAR";
+
+module.exports = function(RED) {
+    function PebbleTimelineIcsNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get the config node
+        const configNode = RED.nodes.getNode(config.config);
+        if (!configNode) {
+            node.error("No Pebble Timeline configuration found");
+            return;
+        }
+
+        store.init(RED.settings.userDir);
+        store.watch(node);
+        outbox.start();
+        outbox.watch(node);
+        limiter.watch(node);
+
+        const prefix = config.prefix || DEFAULT_PREFIX;
+        const windowDays = Math.min(Number(config.window) || DEFAULT_WINDOW_DAYS, MAX_WINDOW_DAYS);
+
+        node.on('input', async function(msg, send, done) {
+            // Backwards compatibility with Node-RED 0.x
+            send = send || function() { node.send.apply(node, arguments) };
+
+            try {
+                node.status({fill: "blue", shape: "dot", text: "Processing..."});
+
+                // A dash would let this calendar's prefix match another's pins
+                if (!namespaceValid(prefix) || prefix.length > MAX_PREFIX_LENGTH) {
+                    throw new Error(`ID prefix must be at most ${MAX_PREFIX_LENGTH} letters, digits or underscores`);
+                }
+
+                if (config.timeZone && !rrule.timeZoneValid(config.timeZone)) {
+                    throw new Error(`Unknown time zone: ${config.timeZone}`);
+                }
+
+                let text = await evaluateSingleProperty(RED, config.ics || 'payload', config.icsType || 'msg', node, msg);
+                if (Buffer.isBuffer(text)) text = text.toString('utf8');
+                if (typeof text !== 'string') {
+                    throw new Error("ICS input must be a string or a Buffer");
+                }
+
+                let apiUrlOverride = null;
+                let tokenOverride = null;
+
+                try {
+                    apiUrlOverride = await evaluateSingleProperty(RED, config.apiUrl, config.apiUrlType, node, msg);
+                } catch (err) {
+                    node.warn(`Error evaluating API URL override: ${err.message}`);
+                }
+
+                try {
+                    tokenOverride = await evaluateSingleProperty(RED, config.token, config.tokenType, node, msg);
+                } catch (err) {
+                    node.warn(`Error evaluating token override: ${err.message}`);
+                }
+
+                const target = publish.resolveTarget(configNode, apiUrlOverride, tokenOverride);
+
+                if (!target.isLocalMode && !target.timelineToken) {
+                    node.status({fill: "red", shape: "dot", text: "Missing token"});
+                    if (done) done("Timeline token is required");
+                    return;
+                }
+
+                const calendar = ical.parseCalendar(text);
+                const now = new Date();
+                const since = new Date(now.getTime() - PAST_LIMIT);
+
+                // Pins can only start up to two days back, so instances that
+                // started earlier are left out even if they are still running.
+                // Instances that have already ended stay in the list, so their
+                // pins are only deleted when the event leaves the calendar.
+                const found = ical.instances(calendar, {
+                    after: since,
+                    before: new Date(now.getTime() + windowDays * DAY),
+                    timeZone: config.timeZone
+                }).filter(instance => instance.start >= since);
+
+                const pins = found.map(instance => instancePin(calendar, instance, now));
+
+                node.status({fill: "blue", shape: "dot", text: `Syncing ${pins.length} events`});
+
+                const summary = await reconcile(node, target, pins, {
+                    prefix: prefix + '-',
+                    since: since,
+                    comparable: pin => withoutPastReminders(pin, now)
+                });
+
+                calendar.warnings.forEach(warning => node.warn(warning));
+
+                if (summary.failed.length > 0) {
+                    node.status({fill: "red", shape: "dot", text: `${summary.failed.length} of ${pins.length} events failed`});
+                } else {
+                    node.status({
+                        fill: "green",
+                        shape: "dot",
+                        text: `+${summary.added.length} ~${summary.changed.length} -${summary.removed.length}`
+                    });
+                }
+
+                msg.payload = {
+                    success: summary.failed.length === 0,
+                    calendar: calendar.name,
+                    events: pins.length,
+                    added: summary.added,
+                    changed: summary.changed,
+                    removed: summary.removed,
+                    unchanged: summary.unchanged,
+                    failed: summary.failed,
+                    warnings: calendar.warnings
+                };
+                if (target.isLocalMode) msg.payload.mode = 'local';
+
+                send(msg);
+                if (done) done();
+            } catch (err) {
+                node.status({fill: "red", shape: "dot", text: "Error: " + err.message});
+
+                msg.payload = {
+                    success: false,
+                    error: err.message
+                };
+
+                send(msg);
+                if (done) done();
+            }
+        });
+
+        // The calendarPin for one event instance
+        function instancePin(calendar, instance, now) {
+            const event = instance.event;
+            const uidHash = crypto.createHash('sha1').update(event.uid).digest('hex').substring(0, 12);
+            const stamp = instance.recurrenceId.toISOString().substring(0, 16).replace(/[-:]/g, '');
+
+            const pin = {
+                id: `${prefix}-${uidHash}-${stamp}`,
+                time: instance.start.toISOString(),
+                layout: {
+                    type: "calendarPin",
+                    title: truncate(event.summary || "Event", 128),
+                    tinyIcon: CALENDAR_ICON
+                }
+            };
+
+            const minutes = Math.round((instance.end - instance.start) / 60000);
+            if (minutes > 0) pin.duration = minutes;
+
+            if (event.location) pin.layout.locationName = truncate(event.location, 128);
+            if (event.description) pin.layout.body = truncate(event.description, 512);
+
+            const headings = [];
+            const paragraphs = [];
+            if (instance.allDay) {
+                headings.push("When");
+                paragraphs.push("All day");
+            }
+            if (event.organizer) {
+                headings.push("Organizer");
+                paragraphs.push(truncate(event.organizer, 1024));
+            }
+            if (calendar.name) {
+                headings.push("Calendar");
+                paragraphs.push(truncate(calendar.name, 1024));
+            }
+            if (headings.length > 0) {
+                pin.layout.headings = headings;
+                pin.layout.paragraphs = paragraphs;
+            }
+
+            if (config.reminders !== false) {
+                // Alarms that have already gone off are not sent again
+                const times = event.alarms
+                    .map(alarm => ical.alarmTime(alarm, instance))
+                    .filter(time => time && time > now && time <= instance.end)
+                    .sort((a, b) => a - b)
+                    .slice(0, MAX_REMINDERS);
+
+                if (times.length > 0) {
+                    pin.reminders = times.map(time => {
+                        const reminder = {
+                            time: time.toISOString(),
+                            layout: {
+                                type: "genericReminder",
+                                title: pin.layout.title,
+                                tinyIcon: CALENDAR_ICON
+                            }
+                        };
+                        if (pin.layout.locationName) reminder.layout.locationName = pin.layout.locationName;
+                        return reminder;
+                    });
+                }
+            }
+
+            return pin;
+        }
+
+        node.on('close', function() {
+        });
+    }
+
+    // Alarms that went off drop out of the next import's reminders. That is no
+    // reason to send the pin again, so passed reminders are left out when it
+    // is compared with the stored copy.
+    function withoutPastReminders(pin, now) {
+        if (!Array.isArray(pin.reminders)) return pin;
+
+        const result = { ...pin };
+        const reminders = pin.reminders.filter(reminder => new Date(reminder.time) > now);
+        if (reminders.length > 0) {
+            result.reminders = reminders;
+        } else {
+            delete result.reminders;
+        }
+        return result;
+    }
+
+    function truncate(text, length) {
+        return String(text).substring(0, length);
+    }
+
+    RED.nodes.registerType("pebble-timeline-ics", PebbleTimelineIcsNode, {
+        credentials: {}
+    });
+};
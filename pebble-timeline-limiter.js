@@ -0,0 +1,192 @@
+const axios = require('axios');
+const EventEmitter = require('events');
+
+/**
+ * Rate limiter for requests to the timeline API
+ *
+ * Every timeline token gets a token bucket and a FIFO queue that are shared by
+ * all nodes sending with that token. Requests are sent one at a time, in the
+ * order they were queued, at no more than the configured rate. When the
+ * server answers 429 the queue is paused for the time given in Retry-After and
+ * the same request is tried again before anything queued after it.
+ *
+ * Events:
+ * - change: the number of waiting requests changed
+ */
+
+const DEFAULT_RATE = 1;
+const DEFAULT_BURST = 5;
+const DEFAULT_RETRY_AFTER = 30 * 1000;
+const MAX_RETRY_AFTER = 60 * 60 * 1000;
+const MAX_THROTTLE_RETRIES = 5;
+// Requests are sent one at a time per token, so a connection that hangs must
+// not hold up the others for long. A timeout fails without a response, which
+// the outbox retries like other network errors.
+const REQUEST_TIMEOUT = 30 * 1000;
+
+const buckets = new Map();
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+/**
+ * Read the limits configured on a pebble-timeline-config node
+ * @param {object} configNode - The config node
+ * @returns {object} Limits with rate (requests per second) and burst
+ */
+function limitsOf(configNode) {
+    return {
+        rate: configNode && Number(configNode.rateLimit),
+        burst: configNode && Number(configNode.rateBurst)
+    };
+}
+
+/**
+ * Send a request through the limiter for a timeline token
+ * @param {string} key - Store key of the timeline token the request is sent with
+ * @param {object} requestConfig - axios request config (method, url, headers, data);
+ *   timeout defaults to 30 seconds
+ * @param {object} [options] - limits (from limitsOf) and source (id of the sending node)
+ * @returns {Promise<object>} The axios response
+ */
+function request(key, requestConfig, options = {}) {
+    const bucket = getBucket(key, options.limits);
+    return new Promise((resolve, reject) => {
+        bucket.queue.push({ requestConfig, source: options.source, resolve, reject, throttled: 0 });
+        events.emit('change');
+        drain(bucket);
+    });
+}
+
+/**
+ * Number of requests a node has waiting to be sent
+ * @param {string} source - The id of the node that queued the requests
+ * @returns {number} Requests not yet sent
+ */
+function waiting(source) {
+    let count = 0;
+    for (const bucket of buckets.values()) {
+        bucket.queue.forEach((job, i) => {
+            if (job.source === source && !(bucket.busy && i === 0)) count++;
+        });
+    }
+    return count;
+}
+
+/**
+ * Show on a node's status how many of its requests are waiting for the
+ * rate limit. The node's own handlers set the status once they are sent.
+ * @param {object} node - The Node-RED node sending requests
+ */
+function watch(node) {
+    function onChange() {
+        const pending = waiting(node.id);
+        if (pending > 0) {
+            node.status({fill: "yellow", shape: "ring", text: `${pending} waiting (rate limited)`});
+        }
+    }
+
+    events.on('change', onChange);
+    node.on('close', function() {
+        events.removeListener('change', onChange);
+    });
+}
+
+function getBucket(key, limits) {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+        bucket = {
+            rate: DEFAULT_RATE,
+            burst: DEFAULT_BURST,
+            tokens: DEFAULT_BURST,
+            updated: Date.now(),
+            pausedUntil: 0,
+            queue: [],
+            busy: false,
+            timer: null
+        };
+        buckets.set(key, bucket);
+    }
+
+    // The most recent limits win, so editing the config node applies on redeploy
+    if (limits) {
+        if (limits.rate > 0) bucket.rate = limits.rate;
+        if (limits.burst >= 1) bucket.burst = limits.burst;
+        bucket.tokens = Math.min(bucket.tokens, bucket.burst);
+    }
+    return bucket;
+}
+
+function refill(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now - bucket.updated) / 1000 * bucket.rate);
+    bucket.updated = now;
+}
+
+function drain(bucket) {
+    if (bucket.busy || bucket.timer || bucket.queue.length === 0) return;
+
+    const now = Date.now();
+    if (bucket.pausedUntil > now) {
+        wait(bucket, bucket.pausedUntil - now);
+        return;
+    }
+
+    refill(bucket);
+    if (bucket.tokens < 1) {
+        wait(bucket, (1 - bucket.tokens) / bucket.rate * 1000);
+        return;
+    }
+    bucket.tokens -= 1;
+
+    const job = bucket.queue[0];
+    bucket.busy = true;
+
+    axios({ timeout: REQUEST_TIMEOUT, ...job.requestConfig })
+        .then(response => {
+            bucket.queue.shift();
+            job.resolve(response);
+        }, error => {
+            if (error.response && error.response.status === 429 && job.throttled < MAX_THROTTLE_RETRIES) {
+                // Leave the job at the head of the queue so it is retried first
+                job.throttled++;
+                bucket.pausedUntil = Date.now() + retryAfter(error.response);
+                return;
+            }
+            bucket.queue.shift();
+            job.reject(error);
+        })
+        .finally(() => {
+            bucket.busy = false;
+            events.emit('change');
+            drain(bucket);
+        });
+}
+
+function wait(bucket, ms) {
+    bucket.timer = setTimeout(() => {
+        bucket.timer = null;
+        drain(bucket);
+    }, Math.ceil(ms));
+    if (bucket.timer.unref) bucket.timer.unref();
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function retryAfter(response) {
+    const header = response.headers && response.headers['retry-after'];
+    if (!header) return DEFAULT_RETRY_AFTER;
+
+    let ms = Number(header) * 1000;
+    if (isNaN(ms)) {
+        ms = new Date(header).getTime() - Date.now();
+    }
+    if (isNaN(ms) || ms < 0) return DEFAULT_RETRY_AFTER;
+    return Math.min(ms, MAX_RETRY_AFTER);
+}
+
+module.exports = {
+    limitsOf,
+    request,
+    waiting,
+    watch,
+    events
+};
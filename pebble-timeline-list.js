@@ -1,4 +1,13 @@
 const store = require('./pebble-timeline-store');
+const { compileFilter } = require('./pebble-timeline-filter');
+
+// Sort orders: the order pins were stored in, or by a field
+const SORTS = {
+    time: (a, b) => new Date(a.time) - new Date(b.time),
+    '-time': (a, b) => new Date(b.time) - new Date(a.time),
+    id: (a, b) => String(a.id).localeCompare(String(b.id)),
+    title: (a, b) => String((a.layout && a.layout.title) || '').localeCompare(String((b.layout && b.layout.title) || ''))
+};
 
 module.exports = function(RED) {
     function PebbleTimelineListNode(config) {
@@ -12,6 +21,7 @@ module.exports = function(RED) {
         }
 
         store.init(RED.settings.userDir);
+        store.watch(node);
 
         node.on('input', function(msg, send, done) {
             send = send || function() { node.send.apply(node, arguments) };
@@ -88,20 +98,37 @@ module.exports = function(RED) {
                 })
                 .then(() => {
                     const key = store.resolveKey(configNode, tokenOverride);
-                    const pins = store.getPins(key);
+                    return store.refresh(key).then(() => store.getPins(key));
+                })
+                .then((pins) => {
+                    const query = listQuery(msg, startTime, endTime);
+                    const matches = compileFilter(query.filter);
 
-                    const filteredPins = pins.filter(pin => {
-                        if (startTime !== null && new Date(pin.time) < startTime) return false;
-                        if (endTime !== null && new Date(pin.time) > endTime) return false;
-                        return true;
-                    });
+                    const filteredPins = pins.filter(matches);
+                    if (query.sort) filteredPins.sort(SORTS[query.sort]);
 
-                    msg.payload = filteredPins;
-                    msg.count = filteredPins.length;
+                    const page = filteredPins.slice(query.offset, query.limit > 0 ? query.offset + query.limit : undefined);
 
-                    node.status({fill: "green", shape: "dot", text: `${filteredPins.length} pins found`});
+                    node.status({fill: "green", shape: "dot", text: `${page.length} of ${filteredPins.length} pins found`});
 
-                    send(msg);
+                    // With nothing to split, the empty array is sent so the flow
+                    // still hears back
+                    if (config.output === 'split' && page.length > 0) {
+                        // One message per pin, with parts so a join node can rebuild the array
+                        const partsId = RED.util.generateId();
+                        page.forEach((pin, index) => {
+                            const out = RED.util.cloneMessage(msg);
+                            out.payload = pin;
+                            out.total = filteredPins.length;
+                            out.parts = { id: partsId, type: 'array', index: index, count: page.length, len: 1 };
+                            send(out);
+                        });
+                    } else {
+                        msg.payload = page;
+                        msg.count = page.length;
+                        msg.total = filteredPins.length;
+                        send(msg);
+                    }
                     if (done) done();
                 })
                 .catch(error => {
@@ -110,6 +137,39 @@ module.exports = function(RED) {
                 });
         });
 
+        // The filter, order and page from the node's settings and msg.filter,
+        // msg.sort, msg.limit and msg.offset
+        function listQuery(msg, startTime, endTime) {
+            const filter = {
+                idPrefix: config.idPrefix,
+                idRegex: config.idRegex,
+                layoutType: config.layoutType,
+                text: config.text,
+                when: config.when,
+                startTime: startTime,
+                endTime: endTime
+            };
+
+            if (msg.filter && typeof msg.filter === 'object') {
+                for (const field of Object.keys(filter)) {
+                    if (msg.filter[field] !== undefined) filter[field] = msg.filter[field];
+                }
+            }
+
+            const sort = msg.sort !== undefined ? msg.sort : config.sort;
+            if (sort && !SORTS[sort]) {
+                throw new Error(`Invalid sort: ${sort}, must be one of ${Object.keys(SORTS).join(', ')}`);
+            }
+
+            const limit = Number(msg.limit !== undefined ? msg.limit : config.limit) || 0;
+            const offset = Number(msg.offset !== undefined ? msg.offset : config.offset) || 0;
+            if (limit < 0 || offset < 0) {
+                throw new Error("Limit and offset must not be negative");
+            }
+
+            return { filter, sort, limit, offset };
+        }
+
         node.on('close', function() {
         });
     }
@@ -0,0 +1,143 @@
+const { pinValid } = require('./pebble-timeline-validation');
+const store = require('./pebble-timeline-store');
+
+/**
+ * Mock Timeline HTTP API served by Node-RED
+ *
+ * Exposes local emulation mode over HTTP so watchapps and test scripts can use
+ * Node-RED as their timeline server. Pins are validated and stored exactly as
+ * the add and delete nodes do in local mode.
+ *
+ * Routes (relative to Node-RED's httpNodeRoot):
+ * - PUT /pebble-timeline/v1/user/pins/:id - Validate and store a pin
+ * - DELETE /pebble-timeline/v1/user/pins/:id - Delete a stored pin
+ * - GET /pebble-timeline/v1/user/pins - List the stored pins (not part of the Rebble API)
+ *
+ * The routes only answer while at least one deployed config node has the
+ * mock API enabled; otherwise they respond 404.
+ */
+
+const BASE_PATH = '/pebble-timeline/v1/user/pins';
+const MAX_BODY_SIZE = 64 * 1024;
+
+let mounted = false;
+let enabledCount = 0;
+
+/**
+ * Register the routes on RED.httpNode. Safe to call more than once.
+ * @param {object} RED - The Node-RED runtime API
+ */
+function mount(RED) {
+    if (mounted || !RED.httpNode) return;
+    mounted = true;
+
+    RED.httpNode.put(BASE_PATH + '/:id', function(req, res) {
+        const token = checkRequest(req, res);
+        if (!token) return;
+
+        readJsonBody(req).then(pin => {
+            const validationResult = pinValid(req.params.id, pin);
+            if (!validationResult.valid) {
+                sendError(res, 400, 'INVALID_JSON', validationResult.error);
+                return;
+            }
+
+            return store.addPin(store.resolveKey(null, token), pin)
+                .then(() => res.status(200).send('OK'));
+        }).catch(err => {
+            if (err instanceof SyntaxError) {
+                sendError(res, 400, 'INVALID_JSON', 'parse_failure_or_missing_pin');
+            } else {
+                RED.log.warn(`pebble-timeline mock API: ${err.message}`);
+                sendError(res, 503, 'SERVICE_UNAVAILABLE', err.message);
+            }
+        });
+    });
+
+    RED.httpNode.delete(BASE_PATH + '/:id', function(req, res) {
+        const token = checkRequest(req, res);
+        if (!token) return;
+
+        store.removePin(store.resolveKey(null, token), req.params.id).then(removed => {
+            if (!removed) {
+                sendError(res, 404, 'NOT_FOUND', 'pin_not_found');
+                return;
+            }
+            res.status(200).send('OK');
+        }).catch(err => {
+            RED.log.warn(`pebble-timeline mock API: ${err.message}`);
+            sendError(res, 503, 'SERVICE_UNAVAILABLE', err.message);
+        });
+    });
+
+    RED.httpNode.get(BASE_PATH, function(req, res) {
+        const token = checkRequest(req, res);
+        if (!token) return;
+
+        res.status(200).json({ pins: store.getPins(store.resolveKey(null, token)) });
+    });
+}
+
+/**
+ * Enable the routes for a config node. Returns a function that disables them
+ * again, to be called when the config node is closed.
+ * @returns {Function} Disable callback
+ */
+function enable() {
+    enabledCount++;
+    let disabled = false;
+    return function() {
+        if (disabled) return;
+        disabled = true;
+        enabledCount--;
+    };
+}
+
+// Returns the user token, or sends the error response and returns null
+function checkRequest(req, res) {
+    if (enabledCount <= 0) {
+        res.sendStatus(404);
+        return null;
+    }
+
+    const token = req.get('X-User-Token');
+    if (!token) {
+        sendError(res, 410, 'INVALID_USER_TOKEN', 'missing_user_token');
+        return null;
+    }
+    return token;
+}
+
+function sendError(res, status, errorCode, detail) {
+    res.status(status).json({ errorCode: errorCode, error: detail });
+}
+
+// httpNode has no body parser of its own, so the body is read here unless
+// another middleware already parsed it
+function readJsonBody(req) {
+    if (req.body !== undefined && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+        return Promise.resolve(req.body);
+    }
+
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            data += chunk;
+            if (data.length > MAX_BODY_SIZE) {
+                req.destroy();
+                reject(new SyntaxError('Request body too large'));
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(data));
+            } catch (e) {
+                reject(e);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+module.exports = { mount, enable };
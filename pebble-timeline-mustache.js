@@ -0,0 +1,133 @@
+const mustache = require('mustache');
+
+/**
+ * Mustache templates in the text fields of pins
+ *
+ * Templates work like in Node-RED's template node: {{topic}} and
+ * {{payload.temperature}} come from the message, {{flow.name}} and
+ * {{global.name}} from context ({{flow[store].name}} for a named store) and
+ * {{env.NAME}} from the environment. Sections such as {{#payload.items}}...{{/payload.items}}
+ * work as usual. Unlike the template node nothing is HTML-escaped, since pins
+ * are plain text, and objects are inserted as JSON.
+ */
+
+// {{flow.name}}, {{global[store].name}}
+const CONTEXT_TOKEN = /^(flow|global)(\[(\w+)\])?\.(.+)/;
+// {{env.NAME}}
+const ENV_TOKEN = /^env\.(.+)/;
+
+// Looks names up in the message first, then in the context and environment
+// values fetched before rendering
+class NodeContext extends mustache.Context {
+    constructor(view, parent, resolved) {
+        super(view, parent);
+        this.resolved = resolved;
+    }
+
+    push(view) {
+        return new NodeContext(view, this, this.resolved);
+    }
+
+    lookup(name) {
+        const value = super.lookup(name);
+        if (value !== undefined) return value;
+        if (Object.prototype.hasOwnProperty.call(this.resolved, name)) return this.resolved[name];
+        return '';
+    }
+}
+
+/**
+ * Check whether a value contains a template
+ * @param {*} value - The value to check
+ * @returns {boolean} True for strings with a {{tag}}
+ */
+function isTemplate(value) {
+    return typeof value === 'string' && value.includes('{{');
+}
+
+/**
+ * Render a template against a message
+ * @param {object} RED - The Node-RED runtime API
+ * @param {object} node - The node rendering the template, for context and environment access
+ * @param {string} template - The Mustache template
+ * @param {object} msg - The message the names are looked up in
+ * @returns {Promise<string>} The rendered text
+ */
+async function render(RED, node, template, msg) {
+    const resolved = {};
+
+    // Context may live in an asynchronous store, so it is read up front
+    for (const name of tokenNames(mustache.parse(template))) {
+        const env = ENV_TOKEN.exec(name);
+        if (env) {
+            resolved[name] = RED.util.evaluateNodeProperty(env[1], 'env', node);
+            continue;
+        }
+
+        const context = CONTEXT_TOKEN.exec(name);
+        if (context) {
+            resolved[name] = await getContextValue(node, context[1], context[3], context[4]);
+        }
+    }
+
+    return mustache.render(template, new NodeContext(msg, undefined, resolved), undefined, { escape: formatValue });
+}
+
+/**
+ * Render the templates in a literal field value: a string, or the strings of
+ * an array such as headings or paragraphs
+ * @param {object} RED - The Node-RED runtime API
+ * @param {object} node - The node rendering the templates
+ * @param {*} value - The field value
+ * @param {object} msg - The message the names are looked up in
+ * @returns {Promise<*>} The value with its templates rendered
+ */
+async function renderValue(RED, node, value, msg) {
+    if (isTemplate(value)) return render(RED, node, value, msg);
+
+    if (Array.isArray(value)) {
+        const rendered = [];
+        for (const item of value) {
+            rendered.push(isTemplate(item) ? await render(RED, node, item, msg) : item);
+        }
+        return rendered;
+    }
+
+    return value;
+}
+
+// The names used by a parsed template, including those inside sections
+function tokenNames(tokens, names = new Set()) {
+    for (const token of tokens) {
+        const type = token[0];
+        if (type === 'name' || type === '&' || type === '#' || type === '^') {
+            names.add(token[1]);
+        }
+        if (Array.isArray(token[4])) {
+            tokenNames(token[4], names);
+        }
+    }
+    return names;
+}
+
+function getContextValue(node, type, store, key) {
+    return new Promise((resolve, reject) => {
+        node.context()[type].get(key, store, (err, value) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(value);
+            }
+        });
+    });
+}
+
+function formatValue(value) {
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+module.exports = {
+    isTemplate,
+    render,
+    renderValue
+};
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const { evaluateSingleProperty } = require('./pebble-timeline-pin');
+const publish = require('./pebble-timeline-publish');
+const store = require('./pebble-timeline-store');
+const outbox = require('./pebble-timeline-outbox');
+const limiter = require('./pebble-timeline-limiter');
+
+/**
+ * Node-RED node for quick notifications that remove themselves
+ *
+ * Puts a pin at the current time with a create notification, built from a
+ * plain text payload, and deletes it again after its time to live. The
+ * deletions are kept in pebble-timeline-store so they still happen after a
+ * restart. A notification can replace the previous one with the same key, so
+ * a repeating alert shows only once on the timeline; notifications that are
+ * kept are recorded with their key for this, without an expiry time.
+ *
+ * Input:
+ * - payload: String - The notification text
+ * - topic: String - The title (by default)
+ * - ttl: Number - Minutes until the pin is deleted, overrides the node's setting
+ */
+
+const DEFAULT_TTL = 60;
+const DEFAULT_ICON = "system://images/NOTIFICATION_FLAG";
+const MAX_BODY_LENGTH = 512;
+const MINUTE = 60 * 1000;
+// Longest wait before the schedule is checked again, well below the
+// maximum delay of setTimeout
+const MAX_WAIT = 60 * MINUTE;
+
+// Expiries being deleted, so nodes sharing a config do not delete them twice
+const busy = new Set();
+
+module.exports = function(RED) {
+    function PebbleTimelineNotifyNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get the config node
+        const configNode = RED.nodes.getNode(config.config);
+        if (!configNode) {
+            node.error("No Pebble Timeline configuration found");
+            return;
+        }
+
+        store.init(RED.settings.userDir);
+        store.watch(node);
+        outbox.start();
+        outbox.watch(node);
+        limiter.watch(node);
+
+        let timer = null;
+        let closed = false;
+
+        node.on('input', async function(msg, send, done) {
+            // Backwards compatibility with Node-RED 0.x
+            send = send || function() { node.send.apply(node, arguments) };
+
+            try {
+                node.status({fill: "blue", shape: "dot", text: "Processing..."});
+
+                let apiUrlOverride = null;
+                let tokenOverride = null;
+
+                try {
+                    apiUrlOverride = await evaluateSingleProperty(RED, config.apiUrl, config.apiUrlType, node, msg);
+                } catch (err) {
+                    node.warn(`Error evaluating API URL override: ${err.message}`);
+                }
+
+                try {
+                    tokenOverride = await evaluateSingleProperty(RED, config.token, config.tokenType, node, msg);
+                } catch (err) {
+                    node.warn(`Error evaluating token override: ${err.message}`);
+                }
+
+                const target = publish.resolveTarget(configNode, apiUrlOverride, tokenOverride);
+
+                if (!target.isLocalMode && !target.timelineToken) {
+                    node.status({fill: "red", shape: "dot", text: "Missing token"});
+                    if (done) done("Timeline token is required");
+                    return;
+                }
+
+                const ttl = msg.ttl !== undefined ? Number(msg.ttl) : Number(config.ttl);
+                if (isNaN(ttl) || ttl < 0) {
+                    throw new Error(`Invalid time to live: ${msg.ttl !== undefined ? msg.ttl : config.ttl}`);
+                }
+
+                const title = await evaluateSingleProperty(RED, config.title, config.titleType, node, msg);
+                const key = await evaluateSingleProperty(RED, config.key, config.keyType, node, msg);
+                const notifyKey = config.replace !== false && key !== undefined && key !== null && key !== ''
+                    ? String(key) : null;
+                const pin = notificationPin(msg.payload, title, config.tinyIcon, ttl);
+
+                // Take down the earlier notifications with the same key first
+                const replaced = [];
+                if (notifyKey) {
+                    for (const expiry of store.getExpiries(target.storeKey)) {
+                        if (expiry.notifyKey !== notifyKey) continue;
+                        await expire(target.storeKey, expiry);
+                        replaced.push(expiry.pinId);
+                    }
+                }
+
+                const result = await publish.putPin(node, target, pin);
+                const expires = ttl > 0 ? new Date(Date.parse(pin.time) + ttl * MINUTE).toISOString() : null;
+
+                // A queued pin is sent later, but still expires on time. A pin
+                // that is kept is recorded too when it has a key, without an
+                // expiry time, so the next one with the same key replaces it.
+                if ((expires || notifyKey) && (result.success || result.queued)) {
+                    await store.saveExpiry(target.storeKey, {
+                        pinId: pin.id,
+                        expires: expires,
+                        notifyKey: notifyKey || undefined,
+                        config: configNode.id,
+                        apiUrl: apiUrlOverride || undefined,
+                        token: tokenOverride || undefined
+                    });
+                    schedule();
+                }
+
+                if (result.success) {
+                    node.status({fill: "green", shape: "dot", text: expires ? `Sent, expires ${formatTime(expires)}` : "Sent"});
+                } else if (result.queued) {
+                    node.status({fill: "yellow", shape: "ring", text: "Queued for retry"});
+                } else {
+                    node.status({fill: "red", shape: "dot", text: "Error: " + result.error});
+                }
+
+                msg.pinId = pin.id;
+                msg.payload = {
+                    success: result.success,
+                    pinId: pin.id,
+                    expires: expires,
+                    replaced: replaced
+                };
+                for (const field of ['mode', 'error', 'validationError', 'queued']) {
+                    if (result[field] !== undefined) msg.payload[field] = result[field];
+                }
+
+                send(msg);
+                if (done) done();
+            } catch (err) {
+                node.status({fill: "red", shape: "dot", text: "Error: " + err.message});
+
+                msg.payload = {
+                    success: false,
+                    error: err.message
+                };
+
+                send(msg);
+                if (done) done();
+            }
+        });
+
+        // Delete a notification's pin and drop its expiry. The expiry is
+        // dropped even if the delete fails for good, since retrying would
+        // not help; failures that can be retried are queued by deletePin.
+        async function expire(key, expiry) {
+            const id = `${key}/${expiry.pinId}`;
+            if (busy.has(id)) return;
+            busy.add(id);
+
+            try {
+                const target = publish.resolveTarget(configNode, expiry.apiUrl, expiry.token);
+                const result = await publish.deletePin(node, target, expiry.pinId);
+                if (!result.success && !result.queued) {
+                    node.warn(`Error deleting expired notification ${expiry.pinId}: ${result.error}`);
+                }
+                await store.removeExpiry(key, expiry.pinId);
+            } finally {
+                busy.delete(id);
+            }
+        }
+
+        // Delete the expired notifications of this node's config and wait
+        // for the next one
+        async function expireDue() {
+            timer = null;
+            const now = Date.now();
+            let expired = 0;
+
+            for (const key of store.getExpiryKeys()) {
+                for (const expiry of store.getExpiries(key)) {
+                    if (closed) return;
+                    if (expiry.config !== configNode.id || !expiry.expires || Date.parse(expiry.expires) > now) continue;
+                    try {
+                        await expire(key, expiry);
+                        expired++;
+                    } catch (err) {
+                        node.warn(`Error deleting expired notification ${expiry.pinId}: ${err.message}`);
+                    }
+                }
+            }
+
+            if (expired > 0) {
+                node.status({fill: "grey", shape: "ring", text: `Removed ${expired} expired`});
+            }
+            schedule();
+        }
+
+        function schedule() {
+            if (closed) return;
+            if (timer) clearTimeout(timer);
+
+            let next = null;
+            for (const key of store.getExpiryKeys()) {
+                for (const expiry of store.getExpiries(key)) {
+                    if (expiry.config !== configNode.id || !expiry.expires) continue;
+                    const time = Date.parse(expiry.expires);
+                    if (next === null || time < next) next = time;
+                }
+            }
+            if (next === null) {
+                timer = null;
+                return;
+            }
+
+            timer = setTimeout(expireDue, Math.min(Math.max(next - Date.now(), 0), MAX_WAIT));
+        }
+
+        // Expiries that came due while Node-RED was stopped are handled at once
+        schedule();
+
+        node.on('close', function() {
+            closed = true;
+            if (timer) clearTimeout(timer);
+            timer = null;
+        });
+    }
+
+    // A pin at the current time that notifies when it is created. It lasts
+    // until it expires, so the timeline shows it as current until then.
+    function notificationPin(payload, title, tinyIcon, ttl) {
+        let body = payload === undefined || payload === null ? "" : String(payload);
+        if (body.length > MAX_BODY_LENGTH) body = body.substring(0, MAX_BODY_LENGTH);
+
+        const layout = {
+            title: title !== undefined && title !== null && title !== "" ? String(title) : "Notification",
+            tinyIcon: tinyIcon || DEFAULT_ICON
+        };
+        if (body) layout.body = body;
+
+        const pin = {
+            id: `notify-${crypto.randomUUID()}`,
+            time: new Date().toISOString(),
+            layout: { type: "genericPin", ...layout },
+            createNotification: {
+                layout: { type: "genericNotification", ...layout }
+            }
+        };
+        if (ttl > 0) pin.duration = Math.ceil(ttl);
+        return pin;
+    }
+
+    function formatTime(iso) {
+        return new Date(iso).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    }
+
+    RED.nodes.registerType("pebble-timeline-notify", PebbleTimelineNotifyNode, {
+        credentials: {}
+    });
+};
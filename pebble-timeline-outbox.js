@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const store = require('./pebble-timeline-store');
+const limiter = require('./pebble-timeline-limiter');
+
+/**
+ * Retry queue for remote timeline operations
+ *
+ * When a PUT or DELETE fails because the server could not be reached, kept
+ * throttling it (429) or returned a 5xx, the operation is persisted in the store's outbox and
+ * retried here with exponential backoff, surviving Node-RED restarts.
+ *
+ * Timeline tokens are not written to the outbox file: a retry is sent with the
+ * current token of the config node that queued it. A per-message token override
+ * is only kept in memory, so such a retry is given up on after a restart.
+ *
+ * Each operation is scoped to the timeline it was sent to, by a hash of its
+ * store key, as the same pin URL holds a different pin for every token.
+ *
+ * Events:
+ * - change: the outbox contents changed (queued, retried or dropped)
+ * - drop (op, error): an operation was given up on and removed
+ */
+
+const BASE_DELAY = 30 * 1000;
+const MAX_DELAY = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 12;
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let timer = null;
+let started = false;
+let processing = false;
+let getNode = null;
+
+// Per-message token overrides of queued operations, by operation id
+const overrides = new Map();
+
+/**
+ * Whether a failed request is worth retrying later
+ * @param {Error} error - The axios error
+ * @returns {boolean} True for network errors and timeouts, 429 and 5xx responses
+ */
+function isRetryable(error) {
+    return !error.response || error.response.status === 429 || error.response.status >= 500;
+}
+
+/**
+ * Delay before the next attempt of an operation
+ * @param {number} attempts - Number of attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function backoff(attempts) {
+    return Math.min(BASE_DELAY * Math.pow(2, Math.max(attempts - 1, 0)), MAX_DELAY);
+}
+
+/**
+ * Tell the outbox how to find a config node, to read its token when retrying
+ * @param {Function} lookup - Called with a node id, returns the node or null
+ */
+function setNodeLookup(lookup) {
+    getNode = lookup;
+}
+
+/**
+ * Start processing the persisted outbox. Safe to call from every node.
+ */
+function start() {
+    if (started) return;
+    started = true;
+    schedule();
+}
+
+/**
+ * Queue a failed operation for retry
+ * @param {object} op - Operation with method ('put' or 'delete'), url, pinId,
+ *   pin (for puts), source (node id), config (config node id), token and keys
+ *   (store keys to update on success). Set override when the token is a
+ *   per-message override rather than the config node's; token and keys are
+ *   then kept in memory only.
+ * @returns {Promise<object|null>} The queued entry, or null if it collapsed away
+ */
+function queue(op) {
+    const { token, keys, ...entry } = op;
+    return store.queueOperation({
+        ...entry,
+        scope: scopeOf(keys[0]),
+        attempts: 1,
+        nextAttempt: new Date(Date.now() + backoff(1)).toISOString()
+    }, keys)
+        .then(entry => {
+            if (entry && op.override) overrides.set(entry.id, { token, keys });
+            events.emit('change');
+            schedule();
+            return entry;
+        });
+}
+
+/**
+ * Drop anything still waiting for a pin URL once a newer request to it has
+ * succeeded, so a late retry cannot overwrite the newer state
+ * @param {string} key - Store key of the timeline the request was sent to
+ * @param {string} url - The pin URL
+ * @returns {Promise<void>}
+ */
+function settle(key, url) {
+    return store.removeOperationsFor(scopeOf(key), url).then(removed => {
+        if (removed) events.emit('change');
+    });
+}
+
+/**
+ * Number of operations a node has waiting in the outbox
+ * @param {string} source - The id of the node that queued the operations
+ * @returns {number} Queue depth
+ */
+function depth(source) {
+    return store.getOutbox().filter(op => op.source === source).length;
+}
+
+/**
+ * Keep a node's status in sync with the operations it has waiting, and warn
+ * on the node when one of them is given up on
+ * @param {object} node - The Node-RED node that queues operations
+ */
+function watch(node) {
+    let showingQueue = false;
+
+    function onChange() {
+        const pending = depth(node.id);
+        if (pending > 0) {
+            node.status({fill: "yellow", shape: "ring", text: `${pending} queued for retry`});
+        } else if (showingQueue) {
+            node.status({fill: "green", shape: "dot", text: "Retry queue empty"});
+        }
+        showingQueue = pending > 0;
+    }
+
+    function onDrop(op, error) {
+        if (op.source !== node.id) return;
+        node.warn(`Giving up on ${op.method.toUpperCase()} of pin ${op.pinId} after ${op.attempts} attempts: ${error.message}`);
+    }
+
+    events.on('change', onChange);
+    events.on('drop', onDrop);
+    node.on('close', function() {
+        events.removeListener('change', onChange);
+        events.removeListener('drop', onDrop);
+    });
+
+    onChange();
+}
+
+function schedule() {
+    if (!started) return;
+    if (timer) clearTimeout(timer);
+    timer = null;
+
+    const ops = store.getOutbox();
+    for (const id of overrides.keys()) {
+        if (!ops.some(op => op.id === id)) overrides.delete(id);
+    }
+    if (ops.length === 0) return;
+
+    const next = Math.min(...ops.map(op => new Date(op.nextAttempt).getTime() || 0));
+    timer = setTimeout(processDue, Math.max(next - Date.now(), 0));
+    if (timer.unref) timer.unref();
+}
+
+async function processDue() {
+    timer = null;
+    if (processing) return;
+    processing = true;
+
+    try {
+        const now = Date.now();
+        // Operations on the same pin must run in order, so once one is still
+        // waiting, everything queued after it for that pin waits too
+        const blocked = new Set();
+
+        for (const op of store.getOutbox()) {
+            const pin = `${op.scope} ${op.url}`;
+            if (blocked.has(pin)) continue;
+            if (new Date(op.nextAttempt).getTime() > now) {
+                blocked.add(pin);
+                continue;
+            }
+            if (!(await attempt(op))) blocked.add(pin);
+        }
+    } finally {
+        processing = false;
+        events.emit('change');
+        schedule();
+    }
+}
+
+// Identifies a timeline in the outbox file without writing its token there
+function scopeOf(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex').substring(0, 16);
+}
+
+// The token to retry an operation with and the store keys to update
+function credentialsOf(op) {
+    if (op.override) {
+        return overrides.get(op.id) || null;
+    }
+
+    const configNode = getNode && op.config ? getNode(op.config) : null;
+    const token = configNode && configNode.credentials && configNode.credentials.timelineToken;
+    if (!token) return null;
+    return { token: token, keys: [store.resolveKey(configNode)] };
+}
+
+// Returns true when the operation left the outbox
+async function attempt(op) {
+    const credentials = credentialsOf(op);
+    if (!credentials) {
+        await store.removeOperation(op.id);
+        events.emit('drop', op, new Error("Timeline token is no longer available"));
+        return true;
+    }
+
+    const headers = { 'X-User-Token': credentials.token };
+    if (op.method === 'put') headers['Content-Type'] = 'application/json';
+
+    let response;
+    try {
+        // Retries share the rate limit of the token they are sent with
+        response = await limiter.request(credentials.keys[0], {
+            method: op.method,
+            url: op.url,
+            headers: headers,
+            data: op.method === 'put' ? op.pin : undefined
+        });
+    } catch (error) {
+        const alreadyDeleted = op.method === 'delete' && error.response && error.response.status === 404;
+        if (!alreadyDeleted) {
+            if (isRetryable(error) && op.attempts < MAX_ATTEMPTS) {
+                await store.updateOperation(op.id, {
+                    attempts: op.attempts + 1,
+                    nextAttempt: new Date(Date.now() + backoff(op.attempts + 1)).toISOString(),
+                    lastError: error.message
+                });
+                return false;
+            }
+
+            await store.removeOperation(op.id);
+            events.emit('drop', op, error);
+            return true;
+        }
+    }
+
+    await store.removeOperation(op.id);
+    for (const key of credentials.keys) {
+        if (op.method === 'put') {
+            await store.addPin(key, op.pin, { status: response.status });
+        } else {
+            await store.removePin(key, op.pinId);
+        }
+    }
+    return true;
+}
+
+module.exports = {
+    setNodeLookup,
+    start,
+    queue,
+    settle,
+    depth,
+    watch,
+    isRetryable,
+    events
+};
@@ -0,0 +1,782 @@
+const crypto = require('crypto');
+const mustache = require('./pebble-timeline-mustache');
+const { colorValid, ID_PATTERN } = require('./pebble-timeline-validation');
+
+// Maximum pin id length according to the API docs
+const MAX_ID_LENGTH = 64;
+
+// The layers buildPin builds a pin from, lowest first
+const LAYERS = ['template', 'payload', 'topic', 'node', 'default'];
+
+// Layout fields a pin template node has its own settings for
+const TEMPLATE_LAYOUT_FIELDS = ['tinyIcon', 'smallIcon', 'largeIcon', 'primaryColor', 'secondaryColor', 'backgroundColor'];
+
+/**
+ * Pin building shared by the nodes that publish pins (add, shared, update, recurring)
+ *
+ * Builds a pin object from the incoming message and the node's configuration,
+ * filling in the defaults and truncation rules described in the Pebble/Rebble
+ * documentation so every node produces pins the same way.
+ */
+
+/**
+ * Build a pin from the incoming message and node configuration
+ *
+ * The pin is built in layers, each overriding the fields of the one before:
+ * the node's pin template, msg.payload, msg.topic (as the title), the node's
+ * own fields and finally the defaults for fields that are still missing.
+ * @param {object} RED - The Node-RED runtime API
+ * @param {object} node - The node building the pin (used for property evaluation and warnings)
+ * @param {object} config - The node's configuration
+ * @param {object} msg - The incoming message
+ * @param {object} [options] - Build options
+ * @param {object} [options.template] - Partial pin to use instead of the config's pin template node
+ * @param {object} [options.sources] - Filled with the layer each field came from, see LAYERS
+ * @returns {Promise<object>} The pin object, ready to be validated and sent
+ */
+async function buildPin(RED, node, config, msg, options = {}) {
+    const sources = options.sources || {};
+    const record = layerRecorder(sources);
+
+    // Start from the pin template, if the node has one
+    const template = options.template !== undefined ? options.template : templatePin(RED, config);
+    const pin = template ? await renderTemplate(RED, node, template, msg) : {};
+    record(pin, 'template');
+
+    // Add basic required properties from input message if available
+    if (msg.payload) {
+        if (typeof msg.payload === 'object') {
+            // Copy relevant properties from payload
+            if (msg.payload.id) pin.id = String(msg.payload.id); // Convert id to string
+            if (msg.payload.time) pin.time = msg.payload.time;
+            if (msg.payload.duration) pin.duration = Number(msg.payload.duration);
+
+            // Start building the layout
+            if (!pin.layout) pin.layout = {};
+
+            // Add layout properties if present in payload
+            if (msg.payload.title) pin.layout.title = msg.payload.title;
+            if (msg.payload.body) pin.layout.body = msg.payload.body;
+            if (msg.payload.subtitle) pin.layout.subtitle = msg.payload.subtitle;
+            if (msg.payload.tinyIcon) pin.layout.tinyIcon = msg.payload.tinyIcon;
+        } else {
+            // If payload is not an object, use it as the body text
+            if (!pin.layout) pin.layout = {};
+            pin.layout.body = String(msg.payload);
+        }
+    }
+    record(pin, 'payload');
+
+    // Use topic as title if available and not already set
+    if (msg.topic && !pin.layout?.title) {
+        if (!pin.layout) pin.layout = {};
+        pin.layout.title = msg.topic;
+    }
+    record(pin, 'topic');
+
+    // Now override with node configuration if provided
+    await applyNodeConfiguration(RED, pin, config, msg, node);
+    record(pin, 'node');
+
+    // Ensure required fields are present
+    if (!pin.id) {
+        // Generate an ID with the configured strategy if none provided
+        pin.id = generateId(config, msg);
+    } else {
+        // Ensure ID is a string and max 64 chars
+        pin.id = String(pin.id).substring(0, MAX_ID_LENGTH);
+    }
+
+    if (!pin.time) {
+        // Use current time if none provided
+        pin.time = new Date().toISOString();
+    }
+
+    // Ensure layout exists
+    if (!pin.layout) {
+        pin.layout = { type: "genericPin" };
+    }
+
+    // Ensure layout has type
+    if (!pin.layout.type) {
+        pin.layout.type = "genericPin";
+    }
+
+    // Ensure layout has required fields based on type
+    if (!pin.layout.title) {
+        pin.layout.title = msg.topic || "Node-RED Pin";
+    }
+
+    // Default tinyIcon if not set
+    if (!pin.layout.tinyIcon) {
+        pin.layout.tinyIcon = defaultTinyIcon(pin.layout.type);
+    }
+
+    // Ensure layout-specific required fields are present
+    switch (pin.layout.type) {
+        case "weatherPin":
+            // weatherPin requires locationName
+            if (!pin.layout.locationName) {
+                pin.layout.locationName = "Unknown Location";
+            }
+            break;
+        case "sportsPin":
+            // Ensure sports pin has required fields
+            if (!pin.layout.sportsGameState) {
+                // Default to pre-game if not specified
+                pin.layout.sportsGameState = "pre-game";
+            }
+            break;
+    }
+
+    record(pin, 'default');
+
+    // Reminders from a template are given in minutes before the pin's time
+    if (Array.isArray(pin.reminders)) {
+        pin.reminders = pin.reminders.map(reminder => relativeReminder(reminder, pin.time));
+    }
+
+    // Validate body text length (max 512 characters according to docs)
+    if (pin.layout.body && pin.layout.body.length > 512) {
+        pin.layout.body = pin.layout.body.substring(0, 512);
+        node.warn("Body text truncated to 512 characters");
+    }
+
+    // Validate headings and paragraphs
+    if (pin.layout.headings && pin.layout.paragraphs) {
+        // Ensure paragraphs equals the number of headings
+        if (pin.layout.headings.length !== pin.layout.paragraphs.length) {
+            node.warn("Number of paragraphs must equal number of headings - adjusting");
+
+            // Adjust to make them equal
+            if (pin.layout.headings.length > pin.layout.paragraphs.length) {
+                // Add empty paragraphs
+                while (pin.layout.headings.length > pin.layout.paragraphs.length) {
+                    pin.layout.paragraphs.push("");
+                }
+            } else {
+                // Trim paragraphs
+                pin.layout.paragraphs = pin.layout.paragraphs.slice(0, pin.layout.headings.length);
+            }
+        }
+
+        // Check total length of headings (max 128 chars)
+        let headingsLength = pin.layout.headings.join('').length + pin.layout.headings.length - 1;
+        if (headingsLength > 128) {
+            node.warn("Headings total length exceeds 128 characters - truncating");
+            // Truncate headings to fit
+            let newHeadings = [];
+            let totalLength = 0;
+            for (let i = 0; i < pin.layout.headings.length; i++) {
+                let heading = pin.layout.headings[i];
+                if (totalLength + heading.length + 1 > 128) {
+                    // Truncate this heading
+                    let remaining = 128 - totalLength - 1;
+                    if (remaining > 0) {
+                        newHeadings.push(heading.substring(0, remaining) + "...");
+                    }
+                    break;
+                }
+                newHeadings.push(heading);
+                totalLength += heading.length + 1;
+            }
+            pin.layout.headings = newHeadings;
+            // Also adjust paragraphs to match
+            pin.layout.paragraphs = pin.layout.paragraphs.slice(0, pin.layout.headings.length);
+        }
+
+        // Check total length of paragraphs (max 1024 chars)
+        let paragraphsLength = pin.layout.paragraphs.join('').length + pin.layout.paragraphs.length - 1;
+        if (paragraphsLength > 1024) {
+            node.warn("Paragraphs total length exceeds 1024 characters - truncating");
+            // Truncate paragraphs to fit
+            let newParagraphs = [];
+            let totalLength = 0;
+            for (let i = 0; i < pin.layout.paragraphs.length; i++) {
+                let paragraph = pin.layout.paragraphs[i];
+                if (totalLength + paragraph.length + 1 > 1024) {
+                    // Truncate this paragraph
+                    let remaining = 1024 - totalLength - 1;
+                    if (remaining > 0) {
+                        newParagraphs.push(paragraph.substring(0, remaining) + "...");
+                    }
+                    break;
+                }
+                newParagraphs.push(paragraph);
+                totalLength += paragraph.length + 1;
+            }
+            pin.layout.paragraphs = newParagraphs;
+            // Also adjust headings to match
+            pin.layout.headings = pin.layout.headings.slice(0, pin.layout.paragraphs.length);
+        }
+    }
+
+    // Validate reminders (max 3 according to docs)
+    if (pin.reminders && pin.reminders.length > 3) {
+        pin.reminders = pin.reminders.slice(0, 3);
+        node.warn("Number of reminders truncated to maximum of 3");
+    }
+
+    return pin;
+}
+
+// Apply node configuration to the pin
+async function applyNodeConfiguration(RED, pin, config, msg, node) {
+    try {
+        // Basic pin properties from configuration
+        const configId = await evaluateSingleProperty(RED, config.pinId, config.pinIdType, node, msg);
+        if (configId !== undefined && configId !== null) pin.id = String(configId); // Convert to string
+
+        const configTime = await evaluateSingleProperty(RED, config.time, config.timeType, node, msg);
+        if (configTime !== undefined && configTime !== null) pin.time = configTime;
+
+        const configDuration = await evaluateSingleProperty(RED, config.duration, config.durationType, node, msg);
+        if (configDuration !== undefined && configDuration !== null) pin.duration = Number(configDuration);
+
+        // Ensure layout exists
+        if (!pin.layout) pin.layout = {};
+
+        // Set layout type from configuration, unless it is left to the pin template
+        if (config.layoutType) pin.layout.type = config.layoutType;
+        const layoutType = pin.layout.type;
+
+        // Add layout properties from configuration
+        const configTitle = await evaluateTextProperty(RED, config.title, config.titleType, node, msg);
+        if (configTitle !== undefined && configTitle !== null) pin.layout.title = configTitle;
+
+        const configSubtitle = await evaluateTextProperty(RED, config.subtitle, config.subtitleType, node, msg);
+        if (configSubtitle !== undefined && configSubtitle !== null) pin.layout.subtitle = configSubtitle;
+
+        const configBody = await evaluateTextProperty(RED, config.body, config.bodyType, node, msg);
+        if (configBody !== undefined && configBody !== null) pin.layout.body = configBody;
+
+        const configTinyIcon = await evaluateSingleProperty(RED, config.tinyIcon, config.tinyIconType, node, msg);
+        if (configTinyIcon !== undefined && configTinyIcon !== null) pin.layout.tinyIcon = configTinyIcon;
+
+        const configSmallIcon = await evaluateSingleProperty(RED, config.smallIcon, config.smallIconType, node, msg);
+        if (configSmallIcon !== undefined && configSmallIcon !== null) pin.layout.smallIcon = configSmallIcon;
+
+        const configLargeIcon = await evaluateSingleProperty(RED, config.largeIcon, config.largeIconType, node, msg);
+        if (configLargeIcon !== undefined && configLargeIcon !== null) pin.layout.largeIcon = configLargeIcon;
+
+        // Colors
+        const configPrimaryColor = await evaluateSingleProperty(RED, config.primaryColor, config.primaryColorType, node, msg);
+        if (configPrimaryColor !== undefined && configPrimaryColor !== null) pin.layout.primaryColor = configPrimaryColor;
+
+        const configSecondaryColor = await evaluateSingleProperty(RED, config.secondaryColor, config.secondaryColorType, node, msg);
+        if (configSecondaryColor !== undefined && configSecondaryColor !== null) pin.layout.secondaryColor = configSecondaryColor;
+
+        const configBackgroundColor = await evaluateSingleProperty(RED, config.backgroundColor, config.backgroundColorType, node, msg);
+        if (configBackgroundColor !== undefined && configBackgroundColor !== null) pin.layout.backgroundColor = configBackgroundColor;
+
+        // Layout specific properties
+        if (layoutType === 'calendarPin' || layoutType === 'weatherPin') {
+            const configLocationName = await evaluateTextProperty(RED, config.locationName, config.locationNameType, node, msg);
+            if (configLocationName !== undefined && configLocationName !== null) pin.layout.locationName = configLocationName;
+        }
+
+        if (layoutType === 'weatherPin') {
+            const configShortTitle = await evaluateTextProperty(RED, config.shortTitle, config.shortTitleType, node, msg);
+            if (configShortTitle !== undefined && configShortTitle !== null) pin.layout.shortTitle = configShortTitle;
+
+            const configShortSubtitle = await evaluateTextProperty(RED, config.shortSubtitle, config.shortSubtitleType, node, msg);
+            if (configShortSubtitle !== undefined && configShortSubtitle !== null) pin.layout.shortSubtitle = configShortSubtitle;
+
+            if (config.displayTime && config.displayTime !== 'pin') {
+                pin.layout.displayTime = config.displayTime;
+            }
+        }
+
+        if (layoutType === 'sportsPin') {
+            const configRankAway = await evaluateTextProperty(RED, config.rankAway, config.rankAwayType, node, msg);
+            if (configRankAway !== undefined && configRankAway !== null) pin.layout.rankAway = String(configRankAway);
+
+            const configRankHome = await evaluateTextProperty(RED, config.rankHome, config.rankHomeType, node, msg);
+            if (configRankHome !== undefined && configRankHome !== null) pin.layout.rankHome = String(configRankHome);
+
+            const configNameAway = await evaluateTextProperty(RED, config.nameAway, config.nameAwayType, node, msg);
+            if (configNameAway !== undefined && configNameAway !== null) pin.layout.nameAway = String(configNameAway);
+
+            const configNameHome = await evaluateTextProperty(RED, config.nameHome, config.nameHomeType, node, msg);
+            if (configNameHome !== undefined && configNameHome !== null) pin.layout.nameHome = String(configNameHome);
+
+            const configRecordAway = await evaluateTextProperty(RED, config.recordAway, config.recordAwayType, node, msg);
+            if (configRecordAway !== undefined && configRecordAway !== null) pin.layout.recordAway = String(configRecordAway);
+
+            const configRecordHome = await evaluateTextProperty(RED, config.recordHome, config.recordHomeType, node, msg);
+            if (configRecordHome !== undefined && configRecordHome !== null) pin.layout.recordHome = String(configRecordHome);
+
+            const configScoreAway = await evaluateTextProperty(RED, config.scoreAway, config.scoreAwayType, node, msg);
+            if (configScoreAway !== undefined && configScoreAway !== null) pin.layout.scoreAway = String(configScoreAway);
+
+            const configScoreHome = await evaluateTextProperty(RED, config.scoreHome, config.scoreHomeType, node, msg);
+            if (configScoreHome !== undefined && configScoreHome !== null) pin.layout.scoreHome = String(configScoreHome);
+
+            if (config.sportsGameState) pin.layout.sportsGameState = config.sportsGameState;
+        }
+
+        // Advanced options
+        const configHeadings = await evaluateTextProperty(RED, config.headings, config.headingsType, node, msg);
+        if (configHeadings !== undefined && configHeadings !== null && configHeadings !== "null") {
+            pin.layout.headings = Array.isArray(configHeadings) ? configHeadings : JSON.parse(configHeadings);
+        }
+
+        const configParagraphs = await evaluateTextProperty(RED, config.paragraphs, config.paragraphsType, node, msg);
+        if (configParagraphs !== undefined && configParagraphs !== null && configParagraphs !== "null") {
+            pin.layout.paragraphs = Array.isArray(configParagraphs) ? configParagraphs : JSON.parse(configParagraphs);
+        }
+
+        const configLastUpdated = await evaluateSingleProperty(RED, config.lastUpdated, config.lastUpdatedType, node, msg);
+        if (configLastUpdated !== undefined && configLastUpdated !== null && configLastUpdated !== "null") {
+            pin.layout.lastUpdated = configLastUpdated;
+        }
+
+        // Handle create notification
+        if (config.createNotification) {
+            const createNotification = {
+                layout: {
+                    type: 'genericNotification'
+                }
+            };
+
+            const configCreateTitle = await evaluateTextProperty(RED, config.createNotificationTitle, config.createNotificationTitleType, node, msg);
+            if (configCreateTitle !== undefined && configCreateTitle !== null) createNotification.layout.title = configCreateTitle;
+
+            const configCreateBody = await evaluateTextProperty(RED, config.createNotificationBody, config.createNotificationBodyType, node, msg);
+            if (configCreateBody !== undefined && configCreateBody !== null) createNotification.layout.body = configCreateBody;
+
+            const configCreateIcon = await evaluateSingleProperty(RED, config.createNotificationTinyIcon, config.createNotificationTinyIconType, node, msg);
+            if (configCreateIcon !== undefined && configCreateIcon !== null) {
+                createNotification.layout.tinyIcon = configCreateIcon;
+            } else {
+                // Default tinyIcon for notification
+                createNotification.layout.tinyIcon = "system://images/NOTIFICATION_FLAG";
+            }
+
+            // Set default title if not provided
+            if (!createNotification.layout.title) {
+                createNotification.layout.title = "New Event";
+            }
+
+            // Validate notification body length
+            if (createNotification.layout.body && createNotification.layout.body.length > 512) {
+                createNotification.layout.body = createNotification.layout.body.substring(0, 512);
+                node.warn("Notification body text truncated to 512 characters");
+            }
+
+            pin.createNotification = createNotification;
+        }
+
+        // Handle update notification
+        if (config.updateNotification) {
+            const updateNotification = {
+                layout: {
+                    type: 'genericNotification'
+                }
+            };
+
+            const configUpdateTitle = await evaluateTextProperty(RED, config.updateNotificationTitle, config.updateNotificationTitleType, node, msg);
+            if (configUpdateTitle !== undefined && configUpdateTitle !== null) updateNotification.layout.title = configUpdateTitle;
+
+            const configUpdateBody = await evaluateTextProperty(RED, config.updateNotificationBody, config.updateNotificationBodyType, node, msg);
+            if (configUpdateBody !== undefined && configUpdateBody !== null) updateNotification.layout.body = configUpdateBody;
+
+            const configUpdateIcon = await evaluateSingleProperty(RED, config.updateNotificationTinyIcon, config.updateNotificationTinyIconType, node, msg);
+            if (configUpdateIcon !== undefined && configUpdateIcon !== null) {
+                updateNotification.layout.tinyIcon = configUpdateIcon;
+            } else {
+                // Default tinyIcon for notification
+                updateNotification.layout.tinyIcon = "system://images/NOTIFICATION_FLAG";
+            }
+
+            const configUpdateTime = await evaluateSingleProperty(RED, config.updateNotificationTime, config.updateNotificationTimeType, node, msg);
+            if (configUpdateTime !== undefined && configUpdateTime !== null) updateNotification.time = configUpdateTime;
+
+            // Set default title if not provided
+            if (!updateNotification.layout.title) {
+                updateNotification.layout.title = "Event Updated";
+            }
+
+            // Validate notification body length
+            if (updateNotification.layout.body && updateNotification.layout.body.length > 512) {
+                updateNotification.layout.body = updateNotification.layout.body.substring(0, 512);
+                node.warn("Update notification body text truncated to 512 characters");
+            }
+
+            // Ensure update notification has a time field
+            if (!updateNotification.time) {
+                updateNotification.time = new Date().toISOString();
+            }
+
+            pin.updateNotification = updateNotification;
+        }
+
+        // Handle reminders
+        if (config.reminders) {
+            let reminderData = await evaluateSingleProperty(RED, config.reminderData, config.reminderDataType, node, msg);
+            if (reminderData !== undefined && reminderData !== null && reminderData !== "null") {
+                if (typeof reminderData === 'string') {
+                    try {
+                        reminderData = JSON.parse(reminderData);
+                    } catch (e) {
+                        node.warn(`Failed to parse reminders: ${e.message}`);
+                    }
+                }
+
+                if (Array.isArray(reminderData)) {
+                    // Limit to max 3 reminders as per API docs
+                    if (reminderData.length > 3) {
+                        reminderData = reminderData.slice(0, 3);
+                        node.warn("Number of reminders limited to 3 as per API requirements");
+                    }
+
+                    // Validate and fix each reminder
+                    const processedReminders = reminderData.map(reminder => {
+                        // Ensure required fields
+                        if (!reminder.time && reminder.minutesBefore === undefined) {
+                            node.warn("Reminder missing required 'time' field - using current time");
+                            reminder.time = new Date().toISOString();
+                        }
+
+                        if (!reminder.layout) reminder.layout = {};
+                        if (!reminder.layout.type) reminder.layout.type = 'genericReminder';
+                        if (!reminder.layout.title) reminder.layout.title = 'Reminder';
+                        if (!reminder.layout.tinyIcon) reminder.layout.tinyIcon = 'system://images/NOTIFICATION_REMINDER';
+                        return reminder;
+                    });
+
+                    pin.reminders = processedReminders;
+                }
+            }
+        }
+
+        // Handle actions
+        if (config.actions) {
+            let actionData = await evaluateSingleProperty(RED, config.actionData, config.actionDataType, node, msg);
+            if (actionData !== undefined && actionData !== null && actionData !== "null") {
+                if (typeof actionData === 'string') {
+                    try {
+                        actionData = JSON.parse(actionData);
+                    } catch (e) {
+                        node.warn(`Failed to parse actions: ${e.message}`);
+                    }
+                }
+
+                // Actions are checked by pinValid, so a broken action is reported
+                // instead of being patched up and failing on the watch
+                if (Array.isArray(actionData)) {
+                    pin.actions = actionData.map(action => {
+                        // Set default method if not provided
+                        if (action && action.type === "http" && !action.method) {
+                            return { ...action, method: "POST" };
+                        }
+                        return action;
+                    });
+                } else if (typeof actionData === 'object') {
+                    node.warn("Actions must be an array");
+                }
+            }
+        }
+    } catch (err) {
+        node.warn(`Error applying configuration: ${err.message}`);
+    }
+}
+
+// Evaluate a text field. Values typed into the node (str, or json for headings
+// and paragraphs) are Mustache templates; values taken from the message or
+// context are used as they are.
+async function evaluateTextProperty(RED, value, type, node, msg) {
+    const result = await evaluateSingleProperty(RED, value, type, node, msg);
+    if (type !== 'str' && type !== 'json') return result;
+    return mustache.renderValue(RED, node, result, msg);
+}
+
+// Helper function to evaluate a single property and return a Promise
+function evaluateSingleProperty(RED, value, type, node, msg) {
+    return new Promise((resolve, reject) => {
+        if (!value || value === "null" || !type) {
+            resolve(undefined);
+            return;
+        }
+
+        RED.util.evaluateNodeProperty(value, type, node, msg, (err, result) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(result);
+            }
+        });
+    });
+}
+
+/**
+ * Generate a pin id for a message with the node's id strategy
+ *
+ * Strategies (config.idStrategy):
+ * - timestamp: "node-red-pin-" and the current time (the default)
+ * - template: config.idTemplate with {{path}} replaced by msg fields, e.g. "{{payload.event}}-{{payload.date}}"
+ * - hash: a hash of the msg fields listed in config.idFields, so the same data always gets the same id
+ * - uuid: a random UUID
+ *
+ * config.idNamespace is prepended with a dash. Ids longer than 64 characters
+ * are shortened, keeping a hash of the full id so they stay unique.
+ * @param {object} config - The node's configuration
+ * @param {object} msg - The incoming message
+ * @returns {string} The pin id
+ * @throws {Error} If the template produces no id or characters not allowed in
+ *   an id, or none of the hash fields are in the message
+ */
+function generateId(config, msg) {
+    let id;
+    switch (config.idStrategy) {
+        case 'template':
+            id = String(config.idTemplate || '').replace(/\{\{\s*([^{}\s]+)\s*\}\}/g, (match, fieldPath) => {
+                const value = getField(msg, fieldPath);
+                return value === undefined || value === null ? '' : String(value);
+            }).trim();
+            if (!id) throw new Error("ID template produced an empty id");
+            break;
+        case 'hash': {
+            const fields = String(config.idFields || '').split(',').map(f => f.trim()).filter(f => f);
+            if (fields.length === 0) throw new Error("No fields configured for the hash id");
+            const values = fields.map(fieldPath => getField(msg, fieldPath));
+            // Otherwise every message without the fields would share one pin
+            if (values.every(value => value === undefined || value === null)) {
+                throw new Error(`None of the hash id fields are in the message: ${fields.join(', ')}`);
+            }
+            id = crypto.createHash('sha1').update(canonicalJson(values)).digest('hex').substring(0, 32);
+            break;
+        }
+        case 'uuid':
+            id = crypto.randomUUID();
+            break;
+        default:
+            id = `node-red-pin-${Date.now()}`;
+    }
+
+    if (config.idNamespace) id = `${config.idNamespace}-${id}`;
+
+    if (!ID_PATTERN.test(id)) {
+        throw new Error(`Pin id "${id}" may only contain letters, digits, '-', '_', '.' and '~'`);
+    }
+
+    if (id.length > MAX_ID_LENGTH) {
+        const digest = crypto.createHash('sha1').update(id).digest('hex').substring(0, 16);
+        id = `${id.substring(0, MAX_ID_LENGTH - digest.length - 1)}-${digest}`;
+    }
+    return id;
+}
+
+/**
+ * Build the partial pin of a pin template node from its settings
+ * @param {object} definition - The template node's settings: layoutType, the
+ *   icon and color fields, and pin, the JSON text of any other pin fields
+ * @returns {object} The partial pin
+ * @throws {Error} If the settings do not describe a valid partial pin
+ */
+function parseTemplate(definition) {
+    let pin = {};
+    if (definition.pin && String(definition.pin).trim()) {
+        try {
+            pin = JSON.parse(definition.pin);
+        } catch (e) {
+            throw new Error(`Pin fields are not valid JSON: ${e.message}`);
+        }
+        if (!isPlainObject(pin)) throw new Error("Pin fields must be a JSON object");
+    }
+
+    if (pin.id !== undefined) throw new Error("A template cannot set the pin ID");
+    if (pin.layout !== undefined && !isPlainObject(pin.layout)) throw new Error("layout must be an object");
+
+    // The dedicated settings win over the same fields in the JSON
+    const layout = {};
+    if (definition.layoutType) layout.type = definition.layoutType;
+    for (const field of TEMPLATE_LAYOUT_FIELDS) {
+        if (definition[field]) layout[field] = definition[field];
+    }
+    if (Object.keys(layout).length > 0) pin = mergePin(pin, { layout: layout });
+
+    for (const field of ['primaryColor', 'secondaryColor', 'backgroundColor']) {
+        const color = pin.layout && pin.layout[field];
+        if (color !== undefined && !colorValid(color)) throw new Error(`Invalid ${field}: ${color}`);
+    }
+
+    // Reminders can't have a fixed time in a template, so they are given in
+    // minutes before the pin's time
+    if (pin.reminders !== undefined) {
+        if (!Array.isArray(pin.reminders)) throw new Error("reminders must be an array");
+        pin.reminders = pin.reminders.map(reminder => {
+            if (!isPlainObject(reminder) || (reminder.time === undefined && typeof reminder.minutesBefore !== 'number')) {
+                throw new Error("Each reminder needs a time or minutesBefore");
+            }
+            return mergePin({
+                layout: { type: 'genericReminder', title: 'Reminder', tinyIcon: 'system://images/NOTIFICATION_REMINDER' }
+            }, reminder);
+        });
+    }
+
+    return pin;
+}
+
+// The partial pin of the config's pin template node, if it has one
+function templatePin(RED, config) {
+    if (!config.template) return null;
+
+    const templateNode = RED.nodes.getNode(config.template);
+    if (!templateNode) throw new Error("Pin template not found");
+    if (templateNode.templateError) throw new Error(`Pin template is invalid: ${templateNode.templateError}`);
+    return templateNode.pin;
+}
+
+// A copy of a pin template with the Mustache templates in its layout rendered
+async function renderTemplate(RED, node, template, msg) {
+    const pin = JSON.parse(JSON.stringify(template));
+    if (isPlainObject(pin.layout)) {
+        for (const field of Object.keys(pin.layout)) {
+            pin.layout[field] = await mustache.renderValue(RED, node, pin.layout[field], msg);
+        }
+    }
+    return pin;
+}
+
+// A reminder given in minutesBefore, with its time set from the pin's time
+function relativeReminder(reminder, pinTime) {
+    if (!isPlainObject(reminder) || reminder.minutesBefore === undefined) return reminder;
+
+    const start = new Date(pinTime).getTime();
+    const offset = Number(reminder.minutesBefore);
+    if (isNaN(start) || isNaN(offset)) return reminder;
+
+    const { minutesBefore, ...rest } = reminder;
+    return { ...rest, time: new Date(start - offset * 60000).toISOString() };
+}
+
+// Records in sources the layer that last changed each field: the layout's
+// fields one by one and the other fields as a whole
+function layerRecorder(sources) {
+    let previous = {};
+    return function record(pin, layer) {
+        const current = {};
+        for (const [key, value] of Object.entries(pin)) {
+            if (key === 'layout' && isPlainObject(value)) {
+                for (const [field, fieldValue] of Object.entries(value)) {
+                    current[`layout.${field}`] = canonicalJson(fieldValue);
+                }
+            } else {
+                current[key] = canonicalJson(value);
+            }
+        }
+
+        for (const [field, value] of Object.entries(current)) {
+            if (previous[field] !== value) sources[field] = layer;
+        }
+        for (const field of Object.keys(previous)) {
+            if (!(field in current)) delete sources[field];
+        }
+        previous = current;
+    };
+}
+
+/**
+ * The icon used for a layout type when the pin does not set one
+ * @param {string} layoutType - The layout type
+ * @returns {string} A system:// icon URI
+ */
+function defaultTinyIcon(layoutType) {
+    switch (layoutType) {
+        case "calendarPin":
+            return "system://images/TIMELINE_CALENDAR";
+        case "sportsPin":
+            return "system://images/TIMELINE_SPORTS";
+        case "weatherPin":
+            return "system://images/TIMELINE_WEATHER";
+        default:
+            return "system://images/NOTIFICATION_FLAG";
+    }
+}
+
+/**
+ * Deep-merge a partial pin into a pin. Objects are merged key by key, arrays
+ * and other values replace what was there, and null removes a field.
+ * @param {object} target - The pin to merge into (not modified)
+ * @param {object} changes - The partial pin
+ * @returns {object} The merged pin
+ */
+function mergePin(target, changes) {
+    const merged = { ...target };
+    for (const key of Object.keys(changes)) {
+        const value = changes[key];
+        if (value === null) {
+            delete merged[key];
+        } else if (isPlainObject(value) && isPlainObject(merged[key])) {
+            merged[key] = mergePin(merged[key], value);
+        } else {
+            merged[key] = value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Read a field from a pin by its dotted path, e.g. "layout.title"
+ * @param {object} pin - The pin
+ * @param {string} fieldPath - Dotted path of the field
+ * @returns {*} The value, or undefined if any part of the path is missing
+ */
+function getField(pin, fieldPath) {
+    return fieldPath.split('.').reduce((value, part) => {
+        return value !== undefined && value !== null ? value[part] : undefined;
+    }, pin);
+}
+
+/**
+ * JSON with object keys sorted, so pins that differ only in key order
+ * produce the same text
+ * @param {*} value - The value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(canonicalJson).join(',') + ']';
+    }
+    if (value && typeof value === 'object') {
+        return '{' + Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => JSON.stringify(key) + ':' + canonicalJson(value[key]))
+            .join(',') + '}';
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Hash of a pin's canonical JSON, used to tell whether a pin changed. The
+ * update notification's time is left out: it defaults to the time the pin
+ * was built, so it would make every build look like a change.
+ * @param {object} pin - The pin, without store metadata
+ * @returns {string} SHA-256 hex digest
+ */
+function hashPin(pin) {
+    let content = pin;
+    if (isPlainObject(pin.updateNotification) && pin.updateNotification.time !== undefined) {
+        const { time, ...updateNotification } = pin.updateNotification;
+        content = { ...pin, updateNotification: updateNotification };
+    }
+    return crypto.createHash('sha256').update(canonicalJson(content)).digest('hex');
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+    buildPin,
+    parseTemplate,
+    LAYERS,
+    evaluateSingleProperty,
+    defaultTinyIcon,
+    mergePin,
+    relativeReminder,
+    getField,
+    canonicalJson,
+    hashPin
+};
@@ -0,0 +1,229 @@
+const { pinValid } = require('./pebble-timeline-validation');
+const { hashPin } = require('./pebble-timeline-pin');
+const store = require('./pebble-timeline-store');
+const outbox = require('./pebble-timeline-outbox');
+const limiter = require('./pebble-timeline-limiter');
+
+/**
+ * Sending user pins to the timeline
+ *
+ * Shared by every node that puts or deletes user pins, so validation, local
+ * emulation mode, rate limiting, the retry outbox and the local pin store are
+ * handled the same way everywhere.
+ */
+
+/**
+ * Work out where a node's requests go, applying any per-message overrides
+ * @param {object} configNode - The pebble-timeline-config node
+ * @param {string} [apiUrlOverride] - API URL evaluated from the node's override
+ * @param {string} [tokenOverride] - Timeline token evaluated from the node's override
+ * @returns {object} Target with baseApiUrl, timelineToken, tokenOverride, storeKey, config,
+ *   limits and isLocalMode
+ */
+function resolveTarget(configNode, apiUrlOverride, tokenOverride) {
+    const baseApiUrl = apiUrlOverride || configNode.apiUrl;
+    return {
+        baseApiUrl: baseApiUrl,
+        timelineToken: tokenOverride || configNode.credentials.timelineToken,
+        tokenOverride: !!tokenOverride,
+        storeKey: store.resolveKey(configNode, tokenOverride),
+        config: configNode.id,
+        limits: limiter.limitsOf(configNode),
+        // Local emulation mode when the API URL is empty
+        isLocalMode: !baseApiUrl || baseApiUrl.trim() === ''
+    };
+}
+
+/**
+ * Validate a pin and put it on the timeline, or store it locally in local mode
+ * @param {object} node - The sending node (queues retries under its id and receives warnings)
+ * @param {object} target - Target from resolveTarget
+ * @param {object} pin - The pin to send
+ * @param {object} [options] - skipUnchanged: don't send a pin identical to the stored copy
+ * @returns {Promise<object>} Result with success, mode and, depending on the outcome,
+ *   response, error, status, validationError, skipped or queued
+ */
+async function putPin(node, target, pin, options = {}) {
+    const validationResult = pinValid(pin.id, pin);
+    if (!validationResult.valid) {
+        return {
+            success: false,
+            error: `Pin validation failed: ${validationResult.error}`,
+            validationError: validationResult.error
+        };
+    }
+
+    if (options.skipUnchanged && isUnchanged(target, pin)) {
+        return { success: true, mode: target.isLocalMode ? 'local' : 'remote', skipped: true };
+    }
+
+    if (target.isLocalMode) {
+        await updateStore(node, () => store.addPin(target.storeKey, pin));
+        return { success: true, mode: 'local' };
+    }
+
+    if (!target.timelineToken) {
+        return { success: false, mode: 'remote', error: "Timeline token is required" };
+    }
+
+    const url = `${target.baseApiUrl}/v1/user/pins/${encodeURIComponent(pin.id)}`;
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-User-Token': target.timelineToken
+    };
+
+    try {
+        const response = await limiter.request(target.storeKey, { method: 'put', url, data: pin, headers }, {
+            limits: target.limits,
+            source: node.id
+        });
+
+        await updateStore(node, async () => {
+            await outbox.settle(target.storeKey, url);
+            await store.addPin(target.storeKey, pin, { status: response.status });
+        });
+
+        return { success: true, mode: 'remote', status: response.status, response: response.data };
+    } catch (error) {
+        return failed(node, target, error, {
+            method: 'put',
+            url: url,
+            pinId: pin.id,
+            pin: pin
+        });
+    }
+}
+
+/**
+ * Delete a pin from the timeline and the local store
+ * @param {object} node - The sending node (queues retries under its id and receives warnings)
+ * @param {object} target - Target from resolveTarget
+ * @param {string} pinId - The id of the pin to delete
+ * @returns {Promise<object>} Result with success, mode and, depending on the outcome,
+ *   response, error, status, alreadyDeleted or queued
+ */
+async function deletePin(node, target, pinId) {
+    if (target.isLocalMode) {
+        await updateStore(node, () => store.removePin(target.storeKey, pinId));
+        return { success: true, mode: 'local' };
+    }
+
+    if (!target.timelineToken) {
+        return { success: false, mode: 'remote', error: "Timeline token is required" };
+    }
+
+    const url = `${target.baseApiUrl}/v1/user/pins/${encodeURIComponent(pinId)}`;
+    const headers = {
+        'X-User-Token': target.timelineToken
+    };
+
+    try {
+        const response = await limiter.request(target.storeKey, { method: 'delete', url, headers }, {
+            limits: target.limits,
+            source: node.id
+        });
+
+        await updateStore(node, async () => {
+            await outbox.settle(target.storeKey, url);
+            await store.removePin(target.storeKey, pinId);
+        });
+
+        return { success: true, mode: 'remote', status: response.status, response: response.data };
+    } catch (error) {
+        if (error.response && error.response.status === 404) {
+            await updateStore(node, async () => {
+                await outbox.settle(target.storeKey, url);
+                await store.removePin(target.storeKey, pinId);
+            });
+            return { success: true, mode: 'remote', status: 404, alreadyDeleted: true };
+        }
+
+        return failed(node, target, error, {
+            method: 'delete',
+            url: url,
+            pinId: pinId
+        });
+    }
+}
+
+/**
+ * Run an async function over a list of items, at most `limit` at a time
+ * @param {Array} items - The items
+ * @param {number} limit - Maximum number of calls in progress
+ * @param {Function} fn - Async function called with each item and its index
+ * @returns {Promise<Array>} The results, in the order of the items
+ */
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.min(Math.max(1, limit), items.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+}
+
+// A pin is unchanged when the stored copy has the same hash and, for the
+// timeline server, was accepted by it rather than only stored locally
+function isUnchanged(target, pin) {
+    const stored = store.getPins(target.storeKey).find(p => p.id === pin.id);
+    if (!stored || stored._hash !== hashPin(pin)) return false;
+    return target.isLocalMode || (stored._status >= 200 && stored._status < 300);
+}
+
+// Build the result for a failed request, queueing it for retry when the
+// failure is temporary. The outbox keeps the token out of its file and uses
+// the config node's token when it retries.
+async function failed(node, target, error, op) {
+    const result = {
+        success: false,
+        mode: 'remote',
+        error: error.message,
+        status: error.response ? error.response.status : null,
+        response: error.response ? error.response.data : null
+    };
+
+    if (outbox.isRetryable(error)) {
+        try {
+            await outbox.queue({
+                ...op,
+                source: node.id,
+                config: target.config,
+                override: target.tokenOverride,
+                token: target.timelineToken,
+                keys: [target.storeKey]
+            });
+            result.queued = true;
+        } catch (e) {
+            node.warn(`Error queueing ${op.method} of pin ${op.pinId} for retry: ${e.message}`);
+        }
+    }
+
+    return result;
+}
+
+// The local record is best effort; a failure to write it should not fail the
+// request that already reached the server
+async function updateStore(node, fn) {
+    try {
+        await fn();
+    } catch (e) {
+        node.warn(`Error updating local storage: ${e.message}`);
+    }
+}
+
+module.exports = {
+    resolveTarget,
+    putPin,
+    deletePin,
+    mapLimit
+};
@@ -0,0 +1,105 @@
+const { canonicalJson } = require('./pebble-timeline-pin');
+const store = require('./pebble-timeline-store');
+const publish = require('./pebble-timeline-publish');
+
+/**
+ * Bringing the stored pins of a namespace in line with a desired list
+ *
+ * A namespace is the set of pins whose id starts with a given prefix, the
+ * namespace's name and a dash. Names cannot contain a dash themselves, or
+ * namespace "ns" would also take in the pins of "ns-foo". The
+ * desired pins are compared with the copies in pebble-timeline-store, and only
+ * the pins that are new or different are sent, and only the pins that are no
+ * longer wanted are deleted.
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+const NAMESPACE_PATTERN = /^[A-Za-z0-9_]+$/;
+
+/**
+ * Whether a name can be used as a namespace
+ * @param {string} namespace - The name, without the dash that ends the prefix
+ * @returns {boolean} True for letters, digits and underscores only
+ */
+function namespaceValid(namespace) {
+    return typeof namespace === 'string' && NAMESPACE_PATTERN.test(namespace);
+}
+
+/**
+ * Compare desired pins with the stored pins of a namespace
+ * @param {string} key - Store key of the timeline token
+ * @param {Array} desired - The complete list of pins wanted in the namespace
+ * @param {object} options - prefix (the namespace) and optionally since: stored pins
+ *   starting before this Date are left alone rather than deleted, and comparable: a
+ *   function giving the part of a pin that counts when comparing it with the stored copy
+ * @returns {object} Lists of pins to add and change, and ids to remove and leave unchanged
+ */
+function diff(key, desired, options) {
+    const stored = new Map();
+    for (const pin of store.getPins(key)) {
+        if (String(pin.id).startsWith(options.prefix)) {
+            stored.set(pin.id, store.stripMetadata(pin));
+        }
+    }
+
+    const plan = { add: [], change: [], remove: [], unchanged: [] };
+    const wanted = new Set();
+    const comparable = options.comparable || (pin => pin);
+
+    for (const pin of desired) {
+        wanted.add(pin.id);
+        const current = stored.get(pin.id);
+        if (!current) {
+            plan.add.push(pin);
+        } else if (canonicalJson(comparable(current)) !== canonicalJson(comparable(pin))) {
+            plan.change.push(pin);
+        } else {
+            plan.unchanged.push(pin.id);
+        }
+    }
+
+    for (const [id, pin] of stored) {
+        if (wanted.has(id)) continue;
+        if (options.since && new Date(pin.time) < options.since) continue;
+        plan.remove.push(id);
+    }
+
+    return plan;
+}
+
+/**
+ * Send the changes needed to make a namespace match the desired pins
+ * @param {object} node - The sending node
+ * @param {object} target - Target from publish.resolveTarget
+ * @param {Array} desired - The complete list of pins wanted in the namespace
+ * @param {object} options - prefix, since, comparable (see diff) and concurrency
+ * @returns {Promise<object>} Ids added, changed, removed and unchanged, plus the
+ *   failures with pinId and error; queued requests count as done
+ */
+async function reconcile(node, target, desired, options) {
+    await store.refresh(target.storeKey);
+    const plan = diff(target.storeKey, desired, options);
+    const summary = { added: [], changed: [], removed: [], unchanged: plan.unchanged, failed: [] };
+
+    const work = []
+        .concat(plan.add.map(pin => ({ list: summary.added, pinId: pin.id, send: () => publish.putPin(node, target, pin) })))
+        .concat(plan.change.map(pin => ({ list: summary.changed, pinId: pin.id, send: () => publish.putPin(node, target, pin) })))
+        .concat(plan.remove.map(id => ({ list: summary.removed, pinId: id, send: () => publish.deletePin(node, target, id) })));
+
+    await publish.mapLimit(work, options.concurrency || DEFAULT_CONCURRENCY, async item => {
+        const result = await item.send();
+        if (result.success || result.queued) {
+            item.list.push(item.pinId);
+        } else {
+            summary.failed.push({ pinId: item.pinId, error: result.error });
+        }
+    });
+
+    return summary;
+}
+
+module.exports = {
+    namespaceValid,
+    diff,
+    reconcile
+};
@@ -0,0 +1,385 @@
+const { pinValid } = require('./pebble-timeline-validation');
+const { evaluateSingleProperty, defaultTinyIcon, mergePin, relativeReminder } = require('./pebble-timeline-pin');
+const rrule = require('./pebble-timeline-rrule');
+const publish = require('./pebble-timeline-publish');
+const store = require('./pebble-timeline-store');
+const outbox = require('./pebble-timeline-outbox');
+const limiter = require('./pebble-timeline-limiter');
+
+/**
+ * Node-RED node for recurring pin series
+ *
+ * A series is a pin template plus a recurrence rule. Its occurrences are sent
+ * as pins with ids derived from the series id and the occurrence time, so the
+ * same occurrence always gets the same id. Only a rolling window of future
+ * occurrences is sent; the series is kept in pebble-timeline-store and the
+ * window is topped up on a schedule, also after a restart.
+ *
+ * Series definition (msg.payload):
+ * - seriesId: String (max 50 chars) - Identifies the series
+ * - rrule: String|Object - Recurrence rule, e.g. "FREQ=WEEKLY;BYDAY=TU"
+ * - start: String - First occurrence, ISO 8601; local to timeZone without an offset
+ * - timeZone: String - IANA time zone of the series (defaults to the server's)
+ * - duration: Number - Duration of each occurrence in minutes
+ * - exclude: Array - Excluded occurrences, as date-times or "YYYY-MM-DD" dates
+ * - pin: Object - Template for each pin (layout, actions, reminders...);
+ *   reminders are given in minutesBefore, as their time differs per occurrence
+ */
+
+const MAX_SERIES_ID_LENGTH = 50;
+const DEFAULT_WINDOW_DAYS = 30;
+// The validation accepts pins up to a year ahead
+const MAX_WINDOW_DAYS = 365;
+const DEFAULT_REFRESH_HOURS = 6;
+// Top-up interval limits, the longest well below the maximum delay of
+// setInterval (about 596 hours)
+const MIN_REFRESH_HOURS = 0.25;
+const MAX_REFRESH_HOURS = 7 * 24;
+// Occurrences sent by one top-up of one series
+const MAX_OCCURRENCES = 400;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Series being topped up, so nodes sharing a config do not send them twice
+const busy = new Set();
+
+module.exports = function(RED) {
+    function PebbleTimelineRecurringNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get the config node
+        const configNode = RED.nodes.getNode(config.config);
+        if (!configNode) {
+            node.error("No Pebble Timeline configuration found");
+            return;
+        }
+
+        store.init(RED.settings.userDir);
+        store.watch(node);
+        outbox.start();
+        outbox.watch(node);
+        limiter.watch(node);
+
+        const windowSetting = Number(config.window);
+        const windowDays = windowSetting > 0 ? Math.min(windowSetting, MAX_WINDOW_DAYS) : DEFAULT_WINDOW_DAYS;
+        const refreshSetting = Number(config.refresh);
+        const refreshHours = refreshSetting > 0
+            ? Math.min(Math.max(refreshSetting, MIN_REFRESH_HOURS), MAX_REFRESH_HOURS)
+            : DEFAULT_REFRESH_HOURS;
+
+        node.on('input', async function(msg, send, done) {
+            // Backwards compatibility with Node-RED 0.x
+            send = send || function() { node.send.apply(node, arguments) };
+
+            const definition = msg.payload && typeof msg.payload === 'object' ? msg.payload : {};
+            const action = msg.action || definition.action || 'create';
+
+            try {
+                node.status({fill: "blue", shape: "dot", text: "Processing..."});
+
+                let apiUrlOverride = null;
+                let tokenOverride = null;
+
+                try {
+                    apiUrlOverride = await evaluateSingleProperty(RED, config.apiUrl, config.apiUrlType, node, msg);
+                } catch (err) {
+                    node.warn(`Error evaluating API URL override: ${err.message}`);
+                }
+
+                try {
+                    tokenOverride = await evaluateSingleProperty(RED, config.token, config.tokenType, node, msg);
+                } catch (err) {
+                    node.warn(`Error evaluating token override: ${err.message}`);
+                }
+
+                const target = publish.resolveTarget(configNode, apiUrlOverride, tokenOverride);
+
+                if (!target.isLocalMode && !target.timelineToken) {
+                    node.status({fill: "red", shape: "dot", text: "Missing token"});
+                    if (done) done("Timeline token is required");
+                    return;
+                }
+
+                if (action === 'refresh') {
+                    const results = await topUpAll();
+                    msg.payload = { success: results.every(r => r.success), action: action, series: results };
+                    send(msg);
+                    if (done) done();
+                    return;
+                }
+
+                const seriesId = definition.seriesId;
+                if (!seriesId || typeof seriesId !== 'string' || seriesId.length > MAX_SERIES_ID_LENGTH) {
+                    throw new Error(`seriesId must be a string of at most ${MAX_SERIES_ID_LENGTH} characters`);
+                }
+
+                const existing = store.getSeries(target.storeKey).find(s => s.seriesId === seriesId);
+
+                if (action === 'cancel') {
+                    if (!existing) {
+                        throw new Error(`Series ${seriesId} was not found`);
+                    }
+
+                    const removed = await cancelSeries(target.storeKey, existing);
+                    node.status({fill: "green", shape: "dot", text: `Cancelled ${seriesId}`});
+
+                    msg.payload = {
+                        success: removed.every(r => r.success),
+                        action: action,
+                        seriesId: seriesId,
+                        removed: removed
+                    };
+                    send(msg);
+                    if (done) done();
+                    return;
+                }
+
+                if (action !== 'create') {
+                    throw new Error(`Unknown action: ${action}`);
+                }
+
+                const series = {
+                    seriesId: seriesId,
+                    config: configNode.id,
+                    rrule: definition.rrule,
+                    start: definition.start,
+                    timeZone: definition.timeZone || '',
+                    duration: definition.duration,
+                    exclude: Array.isArray(definition.exclude) ? definition.exclude : [],
+                    pin: definition.pin || {},
+                    created: new Date().toISOString(),
+                    pushedUntil: null
+                };
+                if (apiUrlOverride) series.apiUrl = apiUrlOverride;
+                if (tokenOverride) series.token = tokenOverride;
+
+                // Check the whole definition before anything is sent or stored
+                const validationError = checkSeries(series);
+                if (validationError) {
+                    node.status({fill: "red", shape: "dot", text: "Validation failed"});
+                    node.error(`Series validation failed: ${validationError}`, msg);
+
+                    msg.payload = {
+                        success: false,
+                        action: action,
+                        seriesId: seriesId,
+                        error: `Series validation failed: ${validationError}`,
+                        validationError: validationError
+                    };
+                    send(msg);
+                    if (done) done();
+                    return;
+                }
+
+                // Occurrences of the previous definition that are no longer
+                // part of the series are deleted once the new ones are sent
+                const previousIds = existing ? occurrenceIds(existing, new Date(), pushedUntilOf(existing)) : [];
+
+                await store.saveSeries(target.storeKey, series);
+                const result = await topUp(target.storeKey, series);
+
+                const stale = previousIds.filter(id => !result.pushed.includes(id));
+                const removed = await deleteOccurrences(existing || series, stale);
+
+                node.status({
+                    fill: result.success ? "green" : "red",
+                    shape: "dot",
+                    text: `${seriesId}: ${result.pushed.length} pins sent`
+                });
+
+                msg.payload = {
+                    success: result.success,
+                    action: action,
+                    seriesId: seriesId,
+                    pushed: result.pushed,
+                    removed: removed,
+                    pushedUntil: result.pushedUntil
+                };
+                if (result.error) msg.payload.error = result.error;
+
+                send(msg);
+                if (done) done();
+            } catch (err) {
+                node.status({fill: "red", shape: "dot", text: "Error: " + err.message});
+
+                msg.payload = {
+                    success: false,
+                    action: action,
+                    error: err.message
+                };
+
+                send(msg);
+                if (done) done();
+            }
+        });
+
+        // Returns an error code for an invalid series, or null
+        function checkSeries(series) {
+            try {
+                rrule.parseRule(series.rrule);
+            } catch (e) {
+                return 'invalid_rrule';
+            }
+            if (!rrule.timeZoneValid(series.timeZone)) {
+                return 'invalid_time_zone';
+            }
+            try {
+                rrule.toInstant(series.start, series.timeZone);
+                series.exclude.forEach(value => rrule.toInstant(value, series.timeZone));
+            } catch (e) {
+                return 'invalid_start_or_exclude';
+            }
+            if (series.duration !== undefined && (!Number.isInteger(series.duration) || series.duration < 0)) {
+                return 'invalid_duration';
+            }
+            // An absolute reminder time could only suit one occurrence
+            const reminders = series.pin.reminders;
+            if (reminders !== undefined && (!Array.isArray(reminders) ||
+                !reminders.every(r => r && typeof r === 'object' && r.time === undefined && typeof r.minutesBefore === 'number'))) {
+                return 'invalid_reminders';
+            }
+
+            // Validate the template as a pin happening now
+            const sample = occurrencePin(series, new Date());
+            const result = pinValid(sample.id, sample);
+            if (!result.valid) return `pin_${result.error}`;
+
+            return null;
+        }
+
+        // Send the occurrences between the end of the last top-up and the end
+        // of the window, in order, stopping at the first one that fails
+        async function topUp(key, series) {
+            const result = { seriesId: series.seriesId, success: true, pushed: [], pushedUntil: series.pushedUntil };
+            if (busy.has(key + '/' + series.seriesId)) return result;
+            busy.add(key + '/' + series.seriesId);
+
+            try {
+                const target = publish.resolveTarget(configNode, series.apiUrl, series.token);
+                const now = new Date();
+                const after = series.pushedUntil ? new Date(new Date(series.pushedUntil).getTime() + 1) : now;
+                const occurrences = rrule.expand(rrule.parseRule(series.rrule), rrule.toInstant(series.start, series.timeZone), {
+                    timeZone: series.timeZone,
+                    after: after < now ? now : after,
+                    before: new Date(now.getTime() + windowDays * DAY),
+                    exclude: series.exclude,
+                    limit: MAX_OCCURRENCES
+                });
+
+                for (const time of occurrences) {
+                    const pin = occurrencePin(series, time);
+                    const sent = await publish.putPin(node, target, pin);
+
+                    // Queued pins are delivered by the outbox, so they count as sent
+                    if (!sent.success && !sent.queued) {
+                        result.success = false;
+                        result.error = `${pin.id}: ${sent.error}`;
+                        break;
+                    }
+                    result.pushed.push(pin.id);
+                    result.pushedUntil = time.toISOString();
+                }
+
+                if (result.pushedUntil !== series.pushedUntil) {
+                    // The series may have been cancelled or replaced meanwhile
+                    const current = store.getSeries(key).find(s => s.seriesId === series.seriesId);
+                    if (current && current.created === series.created) {
+                        await store.saveSeries(key, { ...current, pushedUntil: result.pushedUntil });
+                    }
+                }
+            } catch (e) {
+                result.success = false;
+                result.error = e.message;
+            } finally {
+                busy.delete(key + '/' + series.seriesId);
+            }
+            return result;
+        }
+
+        // Top up every series created with this node's configuration
+        async function topUpAll() {
+            const results = [];
+            for (const key of store.getSeriesKeys()) {
+                for (const series of store.getSeries(key)) {
+                    if (series.config !== configNode.id) continue;
+                    results.push(await topUp(key, series));
+                }
+            }
+
+            const failed = results.filter(r => !r.success);
+            failed.forEach(r => node.warn(`Error topping up series ${r.seriesId}: ${r.error}`));
+            if (results.length > 0) {
+                node.status({
+                    fill: failed.length > 0 ? "red" : "green",
+                    shape: "dot",
+                    text: `${results.length} series, ${results.reduce((n, r) => n + r.pushed.length, 0)} pins sent`
+                });
+            }
+            return results;
+        }
+
+        // Delete the occurrences that were sent and drop the series
+        async function cancelSeries(key, series) {
+            const ids = occurrenceIds(series, new Date(Date.now() - 2 * DAY), pushedUntilOf(series));
+            await store.removeSeries(key, series.seriesId);
+            return deleteOccurrences(series, ids);
+        }
+
+        async function deleteOccurrences(series, ids) {
+            const target = publish.resolveTarget(configNode, series.apiUrl, series.token);
+            const results = [];
+            for (const id of ids) {
+                const result = await publish.deletePin(node, target, id);
+                results.push({ pinId: id, success: result.success || !!result.queued });
+            }
+            return results;
+        }
+
+        function occurrenceIds(series, after, before) {
+            if (!before) return [];
+            return rrule.expand(rrule.parseRule(series.rrule), rrule.toInstant(series.start, series.timeZone), {
+                timeZone: series.timeZone,
+                after: after,
+                before: before,
+                exclude: series.exclude
+            }).map(time => occurrencePin(series, time).id);
+        }
+
+        function pushedUntilOf(series) {
+            return series.pushedUntil ? new Date(series.pushedUntil) : null;
+        }
+
+        // The pin for one occurrence. The id holds the occurrence's local date
+        // and time, e.g. "bin-day-20261020T0700".
+        function occurrencePin(series, time) {
+            const wall = rrule.instantToWall(time, series.timeZone).toISOString();
+            const stamp = wall.substring(0, 10).replace(/-/g, '') + 'T' + wall.substring(11, 16).replace(':', '');
+
+            const pin = mergePin(series.pin, {
+                id: `${series.seriesId}-${stamp}`,
+                time: time.toISOString()
+            });
+            if (series.duration !== undefined) pin.duration = series.duration;
+            if (Array.isArray(pin.reminders)) {
+                pin.reminders = pin.reminders.map(reminder => relativeReminder(reminder, pin.time));
+            }
+
+            pin.layout = { type: "genericPin", ...pin.layout };
+            if (!pin.layout.tinyIcon) pin.layout.tinyIcon = defaultTinyIcon(pin.layout.type);
+            return pin;
+        }
+
+        // Top up once the flows have started, then on the configured schedule
+        const startTimer = setTimeout(topUpAll, 5000);
+        const refreshTimer = setInterval(topUpAll, refreshHours * 60 * 60 * 1000);
+
+        node.on('close', function() {
+            clearTimeout(startTimer);
+            clearInterval(refreshTimer);
+        });
+    }
+
+    RED.nodes.registerType("pebble-timeline-recurring", PebbleTimelineRecurringNode, {
+        credentials: {}
+    });
+};
@@ -0,0 +1,185 @@
+const { pinValid, parseTime, timeValid } = require('./pebble-timeline-validation');
+const { evaluateSingleProperty } = require('./pebble-timeline-pin');
+const publish = require('./pebble-timeline-publish');
+const store = require('./pebble-timeline-store');
+const outbox = require('./pebble-timeline-outbox');
+const limiter = require('./pebble-timeline-limiter');
+
+/**
+ * Node-RED node for publishing stored pins again to a new token or API URL
+ *
+ * After a timeline token is regenerated, or a config node moves from local
+ * emulation mode to a timeline server, the stored pins are not on the new
+ * timeline. This node takes the pins stored under a source key (an old token
+ * or config node id, or the current key), puts the ones still within the valid
+ * time window to the current target and moves the store entries to its key.
+ */
+
+const DEFAULT_CONCURRENCY = 4;
+
+module.exports = function(RED) {
+    function PebbleTimelineReplayNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get the config node
+        const configNode = RED.nodes.getNode(config.config);
+        if (!configNode) {
+            node.error("No Pebble Timeline configuration found");
+            return;
+        }
+
+        store.init(RED.settings.userDir);
+        store.watch(node);
+        outbox.start();
+        outbox.watch(node);
+        limiter.watch(node);
+
+        node.on('input', async function(msg, send, done) {
+            // Backwards compatibility with Node-RED 0.x
+            send = send || function() { node.send.apply(node, arguments) };
+
+            try {
+                node.status({fill: "blue", shape: "dot", text: "Processing..."});
+
+                let apiUrlOverride = null;
+                let tokenOverride = null;
+
+                try {
+                    apiUrlOverride = await evaluateSingleProperty(RED, config.apiUrl, config.apiUrlType, node, msg);
+                } catch (err) {
+                    node.warn(`Error evaluating API URL override: ${err.message}`);
+                }
+
+                try {
+                    tokenOverride = await evaluateSingleProperty(RED, config.token, config.tokenType, node, msg);
+                } catch (err) {
+                    node.warn(`Error evaluating token override: ${err.message}`);
+                }
+
+                const target = publish.resolveTarget(configNode, apiUrlOverride, tokenOverride);
+
+                if (!target.isLocalMode && !target.timelineToken) {
+                    node.status({fill: "red", shape: "dot", text: "Missing token"});
+                    if (done) done("Timeline token is required");
+                    return;
+                }
+
+                // The old token or config node id; empty replays the target's own pins
+                const source = await evaluateSingleProperty(RED, config.source, config.sourceType, node, msg);
+                const sourceKey = source ? store.resolveKey(null, source) : target.storeKey;
+                const moving = sourceKey !== target.storeKey;
+
+                await store.refresh(sourceKey);
+                const entries = store.getPins(sourceKey);
+
+                let finished = 0;
+                const results = await publish.mapLimit(entries, Number(config.concurrency) || DEFAULT_CONCURRENCY, async entry => {
+                    const result = await replayPin(target, sourceKey, moving, entry);
+                    finished++;
+                    node.status({fill: "blue", shape: "dot", text: `Replaying ${finished}/${entries.length}`});
+                    return result;
+                });
+
+                const count = outcome => results.filter(r => r[outcome]).length;
+                const failed = results.filter(r => !r.success).length;
+
+                if (failed > 0) {
+                    node.status({fill: "red", shape: "dot", text: `${failed} of ${entries.length} failed`});
+                } else {
+                    node.status({fill: "green", shape: "dot", text: `Replayed ${count('replayed')} pins`});
+                }
+
+                msg.payload = {
+                    success: failed === 0,
+                    moved: moving,
+                    replayed: count('replayed'),
+                    skipped: count('skipped'),
+                    queued: count('queued'),
+                    failed: failed,
+                    results: results
+                };
+                if (target.isLocalMode) msg.payload.mode = 'local';
+
+                send(msg);
+                if (done) done();
+            } catch (err) {
+                node.status({fill: "red", shape: "dot", text: "Error: " + err.message});
+
+                msg.payload = {
+                    success: false,
+                    error: err.message
+                };
+
+                send(msg);
+                if (done) done();
+            }
+        });
+
+        // Pins outside the valid time window are only moved; the others are
+        // put to the target, which stores them under its key. Pins that failed
+        // stay under the source key so they can be replayed again.
+        async function replayPin(target, sourceKey, moving, entry) {
+            const pin = withoutExpired(store.stripMetadata(entry));
+            const validation = pinValid(pin.id, pin);
+
+            if (!validation.valid && validation.error === 'invalid_time') {
+                if (moving) {
+                    await store.importPins(target.storeKey, [entry]);
+                    await store.removePin(sourceKey, pin.id);
+                }
+                return { pinId: pin.id, success: true, skipped: true };
+            }
+
+            const result = await publish.putPin(node, target, pin);
+            if (!result.success && !result.queued) {
+                return { pinId: pin.id, success: false, error: result.error };
+            }
+
+            if (moving) {
+                // A queued pin is only stored under the target once the retry
+                // gets through, and might never be. It is kept there now,
+                // without a server status, so a dropped retry does not lose it
+                // and a later replay in place sends it again.
+                if (result.queued) await store.importPins(target.storeKey, [pin]);
+                await store.removePin(sourceKey, pin.id);
+            }
+
+            const summary = { pinId: pin.id, success: true, replayed: true };
+            if (result.queued) summary.queued = true;
+            return summary;
+        }
+
+        node.on('close', function() {
+        });
+    }
+
+    // Reminders and update notifications from before the valid time window
+    // would fail the whole pin, and have gone off long ago, so they are left
+    // out of the replayed pin
+    function withoutExpired(pin) {
+        const result = { ...pin };
+
+        if (Array.isArray(pin.reminders)) {
+            result.reminders = pin.reminders.filter(reminder => !(reminder && expired(reminder.time)));
+            if (result.reminders.length === 0) delete result.reminders;
+        }
+        if (pin.updateNotification && expired(pin.updateNotification.time)) {
+            delete result.updateNotification;
+        }
+        return result;
+    }
+
+    function expired(time) {
+        try {
+            const date = parseTime(time);
+            return date < new Date() && !timeValid(date);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    RED.nodes.registerType("pebble-timeline-replay", PebbleTimelineReplayNode, {
+        credentials: {}
+    });
+};
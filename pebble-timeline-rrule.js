@@ -0,0 +1,383 @@
+/**
+ * Recurrence rules (RFC 5545 RRULE) for pin series
+ *
+ * Used by the recurring node and by ICS import. Occurrences are computed on
+ * the wall clock of a time zone, so a series at 07:00 stays at 07:00 across
+ * daylight saving changes, and only then converted to instants.
+ *
+ * Supported rule parts: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL,
+ * BYDAY (with an ordinal such as 1MO or -1FR for MONTHLY and YEARLY),
+ * BYMONTHDAY, BYMONTH, UNTIL and COUNT. Other parts are ignored.
+ *
+ * Wall clock times are carried in Date objects whose UTC fields hold the
+ * local date and time.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Upper bound on the periods walked through, so an unbounded rule starting
+// long ago cannot keep the event loop busy
+const MAX_PERIODS = 50000;
+
+/**
+ * Parse a recurrence rule
+ * @param {string|object} rule - An RRULE string such as "FREQ=WEEKLY;BYDAY=TU", or an object
+ *   with freq, interval, byDay, byMonthDay, byMonth, until and count
+ * @returns {object} The normalized rule
+ * @throws {Error} If the rule is invalid
+ */
+function parseRule(rule) {
+    let parts;
+    if (typeof rule === 'string') {
+        parts = {};
+        for (const part of rule.replace(/^RRULE:/i, '').split(';')) {
+            const [name, value] = part.split('=');
+            if (name && value !== undefined) parts[name.trim().toLowerCase()] = value.trim();
+        }
+    } else if (!rule || typeof rule !== 'object') {
+        throw new Error('Recurrence rule must be an RRULE string or an object');
+    } else {
+        parts = {};
+        for (const name of Object.keys(rule)) parts[name.toLowerCase()] = rule[name];
+    }
+
+    const freq = String(parts.freq || '').toUpperCase();
+    if (!FREQUENCIES.includes(freq)) {
+        throw new Error(`Unsupported recurrence frequency: ${parts.freq}`);
+    }
+
+    const interval = parts.interval === undefined ? 1 : Number(parts.interval);
+    if (!Number.isInteger(interval) || interval < 1) {
+        throw new Error(`Invalid recurrence interval: ${parts.interval}`);
+    }
+
+    const count = parts.count === undefined ? null : Number(parts.count);
+    if (count !== null && (!Number.isInteger(count) || count < 1)) {
+        throw new Error(`Invalid recurrence count: ${parts.count}`);
+    }
+
+    const byDay = toList(parts.byday).map(value => {
+        const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(String(value).toUpperCase());
+        if (!match) throw new Error(`Invalid recurrence day: ${value}`);
+        return { day: WEEKDAYS.indexOf(match[2]), n: match[1] ? Number(match[1]) : 0 };
+    });
+
+    const byMonthDay = toList(parts.bymonthday).map(value => {
+        const day = Number(value);
+        if (!Number.isInteger(day) || day === 0 || day < -31 || day > 31) {
+            throw new Error(`Invalid recurrence month day: ${value}`);
+        }
+        return day;
+    });
+
+    const byMonth = toList(parts.bymonth).map(value => {
+        const month = Number(value);
+        if (!Number.isInteger(month) || month < 1 || month > 12) {
+            throw new Error(`Invalid recurrence month: ${value}`);
+        }
+        return month - 1;
+    });
+
+    return {
+        freq: freq,
+        interval: interval,
+        count: count,
+        until: parts.until ? parseUntil(parts.until) : null,
+        byDay: byDay,
+        byMonthDay: byMonthDay,
+        byMonth: byMonth
+    };
+}
+
+/**
+ * List the occurrences of a rule
+ * @param {object} rule - A rule from parseRule
+ * @param {Date} start - The first occurrence (DTSTART)
+ * @param {object} [options] - timeZone (IANA name, "UTC", or empty for the server's
+ *   time zone), after and before (Dates bounding the result), limit, and exclude
+ *   (Dates or ISO strings of excluded occurrences; "YYYY-MM-DD" excludes a whole day)
+ * @returns {Date[]} The occurrences, in order
+ */
+function expand(rule, start, options = {}) {
+    const timeZone = options.timeZone;
+    const startWall = instantToWall(start, timeZone);
+    const exclusions = parseExclusions(options.exclude || [], timeZone);
+
+    let untilWall = null;
+    if (rule.until) {
+        untilWall = rule.until.floating ? rule.until.wall : instantToWall(rule.until.instant, timeZone);
+    }
+
+    const occurrences = [];
+    let seen = 0;
+
+    for (let k = 0; k < MAX_PERIODS; k++) {
+        const candidates = periodCandidates(rule, startWall, k);
+        // DTSTART is always the first occurrence, even if the rule would skip it
+        if (k === 0 && !candidates.some(c => c.getTime() === startWall.getTime())) {
+            candidates.unshift(startWall);
+        }
+
+        for (const wall of candidates) {
+            if (wall < startWall) continue;
+            if (untilWall && wall > untilWall) return occurrences;
+
+            seen++;
+            if (rule.count && seen > rule.count) return occurrences;
+
+            const instant = wallToInstant(wall, timeZone);
+            if (exclusions.dates.has(dateKey(wall)) || exclusions.instants.has(instant.getTime())) continue;
+            if (options.before && instant > options.before) return occurrences;
+            if (options.after && instant < options.after) continue;
+
+            occurrences.push(instant);
+            if (options.limit && occurrences.length >= options.limit) return occurrences;
+        }
+    }
+    return occurrences;
+}
+
+// The occurrences in the k-th period after DTSTART, in order
+function periodCandidates(rule, startWall, k) {
+    const y = startWall.getUTCFullYear();
+    const m = startWall.getUTCMonth();
+    const d = startWall.getUTCDate();
+    const mk = (year, month, day) => new Date(Date.UTC(year, month, day,
+        startWall.getUTCHours(), startWall.getUTCMinutes(), startWall.getUTCSeconds()));
+
+    let candidates = [];
+
+    switch (rule.freq) {
+        case 'DAILY': {
+            candidates = [mk(y, m, d + k * rule.interval)];
+            if (rule.byMonthDay.length > 0) {
+                candidates = candidates.filter(c => matchesMonthDay(c, rule.byMonthDay));
+            }
+            if (rule.byDay.length > 0) {
+                candidates = candidates.filter(c => rule.byDay.some(b => b.day === c.getUTCDay()));
+            }
+            break;
+        }
+        case 'WEEKLY': {
+            // Weeks start on Monday
+            const weekStart = d - ((startWall.getUTCDay() + 6) % 7) + k * rule.interval * 7;
+            if (rule.byDay.length > 0) {
+                candidates = rule.byDay
+                    .map(b => mk(y, m, weekStart + (b.day + 6) % 7))
+                    .sort((a, b) => a - b);
+            } else {
+                candidates = [mk(y, m, d + k * rule.interval * 7)];
+            }
+            break;
+        }
+        case 'MONTHLY': {
+            const month = m + k * rule.interval;
+            candidates = monthCandidates(rule, mk, y + Math.floor(month / 12), ((month % 12) + 12) % 12, d);
+            break;
+        }
+        case 'YEARLY': {
+            const year = y + k * rule.interval;
+            const months = rule.byMonth.length > 0 ? rule.byMonth.slice().sort((a, b) => a - b) : [m];
+            for (const month of months) {
+                candidates = candidates.concat(monthCandidates(rule, mk, year, month, d));
+            }
+            break;
+        }
+    }
+
+    if (rule.byMonth.length > 0) {
+        candidates = candidates.filter(c => rule.byMonth.includes(c.getUTCMonth()));
+    }
+
+    // Remove duplicates, e.g. from BYDAY=MO,1MO
+    return candidates.filter((c, i) => i === 0 || c.getTime() !== candidates[i - 1].getTime());
+}
+
+// The occurrences within one month for MONTHLY and YEARLY rules
+function monthCandidates(rule, mk, year, month, startDay) {
+    const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    let days = [];
+
+    if (rule.byMonthDay.length > 0) {
+        days = rule.byMonthDay
+            .map(day => day > 0 ? day : daysInMonth + day + 1)
+            .filter(day => day >= 1 && day <= daysInMonth);
+        if (rule.byDay.length > 0) {
+            days = days.filter(day => {
+                const weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+                return rule.byDay.some(b => b.day === weekday);
+            });
+        }
+    } else if (rule.byDay.length > 0) {
+        const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+        for (const b of rule.byDay) {
+            const matching = [];
+            for (let day = 1 + (b.day - firstWeekday + 7) % 7; day <= daysInMonth; day += 7) {
+                matching.push(day);
+            }
+            if (b.n > 0 && matching[b.n - 1]) days.push(matching[b.n - 1]);
+            else if (b.n < 0 && matching[matching.length + b.n]) days.push(matching[matching.length + b.n]);
+            else if (b.n === 0) days = days.concat(matching);
+        }
+    } else if (startDay <= daysInMonth) {
+        // Months without the start day are skipped, as in RFC 5545
+        days = [startDay];
+    }
+
+    return days.sort((a, b) => a - b).map(day => mk(year, month, day));
+}
+
+function matchesMonthDay(wall, byMonthDay) {
+    const daysInMonth = new Date(Date.UTC(wall.getUTCFullYear(), wall.getUTCMonth() + 1, 0)).getUTCDate();
+    return byMonthDay.some(day => (day > 0 ? day : daysInMonth + day + 1) === wall.getUTCDate());
+}
+
+/**
+ * Check that a time zone is known to the runtime
+ * @param {string} timeZone - IANA time zone name
+ * @returns {boolean} True if the time zone can be used
+ */
+function timeZoneValid(timeZone) {
+    if (!timeZone || timeZone === 'UTC') return true;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Convert a date and time to an instant. Values with "Z" or an offset are
+ * instants already; others are read as wall clock time in the time zone.
+ * @param {string|Date} value - ISO 8601 date-time, or a Date
+ * @param {string} [timeZone] - IANA name, "UTC", or empty for the server's time zone
+ * @returns {Date} The instant
+ * @throws {Error} If the value is not a valid date-time
+ */
+function toInstant(value, timeZone) {
+    if (value instanceof Date) return value;
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.exec(String(value).trim());
+    if (!match) throw new Error(`Invalid date-time: ${value}`);
+
+    if (match[7]) return new Date(value);
+
+    const wall = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3], +(match[4] || 0), +(match[5] || 0), +(match[6] || 0)));
+    return wallToInstant(wall, timeZone);
+}
+
+/**
+ * The wall clock time of an instant in a time zone
+ * @param {Date} date - The instant
+ * @param {string} [timeZone] - IANA name, "UTC", or empty for the server's time zone
+ * @returns {Date} Wall clock time, held in the UTC fields
+ */
+function instantToWall(date, timeZone) {
+    if (timeZone === 'UTC') return new Date(date.getTime());
+    if (!timeZone) {
+        return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(),
+            date.getHours(), date.getMinutes(), date.getSeconds()));
+    }
+
+    const fields = {};
+    for (const part of formatter(timeZone).formatToParts(date)) fields[part.type] = part.value;
+    return new Date(Date.UTC(+fields.year, +fields.month - 1, +fields.day,
+        +fields.hour % 24, +fields.minute, +fields.second));
+}
+
+/**
+ * The instant of a wall clock time in a time zone. Times skipped by a
+ * daylight saving change move forward by the size of the change.
+ * @param {Date} wall - Wall clock time, held in the UTC fields
+ * @param {string} [timeZone] - IANA name, "UTC", or empty for the server's time zone
+ * @returns {Date} The instant
+ */
+function wallToInstant(wall, timeZone) {
+    if (timeZone === 'UTC') return new Date(wall.getTime());
+    if (!timeZone) {
+        return new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(),
+            wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds());
+    }
+
+    const guess = wall.getTime();
+    const offset = t => instantToWall(new Date(t), timeZone).getTime() - t;
+    const first = guess - offset(guess);
+    return new Date(guess - offset(first));
+}
+
+const formatters = new Map();
+function formatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+// UNTIL is an instant when it has "Z" or an offset, otherwise a floating time,
+// and a bare date includes the whole day
+function parseUntil(value) {
+    if (value instanceof Date) return { instant: value };
+
+    const text = String(value).trim();
+    const basic = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(text);
+    if (basic) {
+        if (basic[7]) {
+            return { instant: new Date(Date.UTC(+basic[1], +basic[2] - 1, +basic[3], +basic[4], +basic[5], +basic[6])) };
+        }
+        return {
+            floating: true,
+            wall: basic[4]
+                ? new Date(Date.UTC(+basic[1], +basic[2] - 1, +basic[3], +basic[4], +basic[5], +basic[6]))
+                : new Date(Date.UTC(+basic[1], +basic[2] - 1, +basic[3], 23, 59, 59))
+        };
+    }
+
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        const [y, m, d] = text.split('-').map(Number);
+        return { floating: true, wall: new Date(Date.UTC(y, m - 1, d, 23, 59, 59)) };
+    }
+    if (/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+        const instant = new Date(text);
+        if (!isNaN(instant.getTime())) return { instant: instant };
+    }
+    const wall = new Date(text + 'Z');
+    if (isNaN(wall.getTime())) throw new Error(`Invalid recurrence end: ${value}`);
+    return { floating: true, wall: wall };
+}
+
+function parseExclusions(values, timeZone) {
+    const exclusions = { dates: new Set(), instants: new Set() };
+    for (const value of values) {
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+            exclusions.dates.add(value.trim());
+        } else {
+            exclusions.instants.add(toInstant(value, timeZone).getTime());
+        }
+    }
+    return exclusions;
+}
+
+function dateKey(wall) {
+    return wall.toISOString().substring(0, 10);
+}
+
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return Array.isArray(value) ? value : String(value).split(',').map(v => v.trim()).filter(v => v);
+}
+
+module.exports = {
+    parseRule,
+    expand,
+    toInstant,
+    instantToWall,
+    wallToInstant,
+    timeZoneValid
+};
@@ -0,0 +1,304 @@
+const axios = require('axios');
+const { pinValid } = require('./pebble-timeline-validation');
+const { buildPin, evaluateSingleProperty } = require('./pebble-timeline-pin');
+const store = require('./pebble-timeline-store');
+
+/**
+ * Node-RED node for shared pins on the Pebble Timeline API
+ *
+ * Shared pins are pushed once with the app's API key and delivered to every
+ * user subscribed to one of the pin's topics, instead of being sent to a
+ * single user's timeline token.
+ *
+ * Endpoints used:
+ * - PUT /v1/shared/pins/{id} - Create or update a shared pin (X-API-Key, X-Pin-Topics)
+ * - DELETE /v1/shared/pins/{id} - Delete a shared pin (X-API-Key)
+ */
+module.exports = function(RED) {
+    function PebbleTimelineSharedNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get the config node
+        const configNode = RED.nodes.getNode(config.config);
+        if (!configNode) {
+            node.error("No Pebble Timeline configuration found");
+            return;
+        }
+
+        store.init(RED.settings.userDir);
+        store.watch(node);
+
+        node.on('input', async function(msg, send, done) {
+            // Backwards compatibility with Node-RED 0.x
+            send = send || function() { node.send.apply(node, arguments) };
+
+            try {
+                node.status({fill: "blue", shape: "dot", text: "Processing..."});
+
+                const topics = parseTopics(await evaluateSingleProperty(RED, config.topics, config.topicsType, node, msg));
+
+                // Check for server override options
+                let apiUrlOverride = null;
+                let apiKeyOverride = null;
+
+                if (config.apiUrl && config.apiUrl !== "null") {
+                    try {
+                        apiUrlOverride = await evaluateSingleProperty(RED, config.apiUrl, config.apiUrlType, node, msg);
+                    } catch (err) {
+                        node.warn(`Error evaluating API URL override: ${err.message}`);
+                    }
+                }
+
+                if (config.apiKey && config.apiKey !== "null") {
+                    try {
+                        apiKeyOverride = await evaluateSingleProperty(RED, config.apiKey, config.apiKeyType, node, msg);
+                    } catch (err) {
+                        node.warn(`Error evaluating API key override: ${err.message}`);
+                    }
+                }
+
+                const baseApiUrl = apiUrlOverride || configNode.apiUrl;
+                const apiKey = apiKeyOverride || configNode.credentials.apiKey;
+                const isLocalMode = !baseApiUrl || baseApiUrl.trim() === '';
+
+                if (config.operation === 'delete') {
+                    await deleteSharedPin(msg, send, done, topics, baseApiUrl, apiKey, isLocalMode);
+                } else {
+                    await putSharedPin(msg, send, done, topics, baseApiUrl, apiKey, isLocalMode);
+                }
+            } catch (err) {
+                node.status({fill: "red", shape: "dot", text: "Error: " + err.message});
+
+                msg.payload = {
+                    success: false,
+                    error: err.message
+                };
+
+                send(msg);
+                if (done) done();
+            }
+        });
+
+        async function putSharedPin(msg, send, done, topics, baseApiUrl, apiKey, isLocalMode) {
+            if (topics.length === 0) {
+                const errMsg = "At least one topic is required";
+                node.status({fill: "red", shape: "dot", text: "Missing topics"});
+                node.error(errMsg, msg);
+
+                msg.payload = {
+                    success: false,
+                    error: errMsg
+                };
+
+                send(msg);
+                if (done) done();
+                return;
+            }
+
+            const pin = await buildPin(RED, node, config, msg);
+
+            // Shared pins go through the same validation as user pins
+            const validationResult = pinValid(pin.id, pin);
+            if (!validationResult.valid) {
+                const errMsg = `Pin validation failed: ${validationResult.error}`;
+                node.status({fill: "red", shape: "dot", text: "Validation failed"});
+                node.error(errMsg, msg);
+
+                msg.payload = {
+                    success: false,
+                    error: errMsg,
+                    validationError: validationResult.error
+                };
+
+                send(msg);
+                if (done) done();
+                return;
+            }
+
+            if (isLocalMode) {
+                node.debug(`Local emulation mode - storing shared pin for topics: ${topics.join(',')}`);
+
+                await storeSharedPin(topics, pin);
+                node.status({fill: "green", shape: "dot", text: "OK (local)"});
+
+                msg.payload = {
+                    success: true,
+                    pin: pin,
+                    topics: topics,
+                    mode: 'local',
+                    message: 'Shared pin validated and stored locally'
+                };
+
+                send(msg);
+                if (done) done();
+                return;
+            }
+
+            if (!apiKey) {
+                node.status({fill: "red", shape: "dot", text: "Missing API key"});
+                if (done) done("API key is required for shared pins");
+                return;
+            }
+
+            const apiUrl = `${baseApiUrl}/v1/shared/pins/${encodeURIComponent(pin.id)}`;
+            node.debug(`Sending shared pin: ${JSON.stringify(pin, null, 2)}`);
+            node.debug(`API URL: ${apiUrl} (topics: ${topics.join(',')})`);
+
+            try {
+                const response = await axios.put(apiUrl, pin, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-API-Key': apiKey,
+                        'X-Pin-Topics': topics.join(',')
+                    }
+                });
+
+                await storeSharedPin(topics, pin);
+                node.status({fill: "green", shape: "dot", text: "OK"});
+
+                msg.payload = {
+                    success: true,
+                    pin: pin,
+                    topics: topics,
+                    response: response.data
+                };
+            } catch (error) {
+                node.status({fill: "red", shape: "dot", text: "Error: " + (error.response ? error.response.status : error.message)});
+                if (error.response) {
+                    node.debug(`Error response: ${JSON.stringify(error.response.data)}`);
+                }
+
+                msg.payload = {
+                    success: false,
+                    error: error.message,
+                    response: error.response ? error.response.data : null
+                };
+            }
+
+            send(msg);
+            if (done) done();
+        }
+
+        async function deleteSharedPin(msg, send, done, topics, baseApiUrl, apiKey, isLocalMode) {
+            let pinId = await evaluateSingleProperty(RED, config.pinId, config.pinIdType, node, msg);
+            if (!pinId && typeof msg.payload === 'string') {
+                pinId = msg.payload;
+            }
+
+            if (!pinId) {
+                node.error("Pin ID is required", msg);
+                if (done) done("Pin ID is required");
+                return;
+            }
+            pinId = String(pinId);
+
+            if (isLocalMode) {
+                node.debug(`Local emulation mode - deleting shared pin locally`);
+
+                await unstoreSharedPin(topics, pinId);
+                node.status({fill: "green", shape: "dot", text: "Pin deleted (local)"});
+
+                msg.payload = {
+                    success: true,
+                    pinId: pinId,
+                    mode: 'local',
+                    message: 'Shared pin deleted from local storage'
+                };
+
+                send(msg);
+                if (done) done();
+                return;
+            }
+
+            if (!apiKey) {
+                node.status({fill: "red", shape: "dot", text: "Missing API key"});
+                if (done) done("API key is required for shared pins");
+                return;
+            }
+
+            try {
+                const response = await axios.delete(`${baseApiUrl}/v1/shared/pins/${encodeURIComponent(pinId)}`, {
+                    headers: {
+                        'X-API-Key': apiKey
+                    }
+                });
+
+                await unstoreSharedPin(topics, pinId);
+                node.status({fill: "green", shape: "dot", text: "Pin deleted"});
+
+                msg.payload = {
+                    success: true,
+                    pinId: pinId,
+                    response: response.data
+                };
+            } catch (error) {
+                if (error.response && error.response.status === 404) {
+                    node.warn(`Shared pin ${pinId} not found on server (404) - assuming already deleted`);
+                    node.status({fill: "yellow", shape: "dot", text: "Pin already deleted"});
+
+                    await unstoreSharedPin(topics, pinId);
+
+                    msg.payload = {
+                        success: true,
+                        pinId: pinId,
+                        alreadyDeleted: true,
+                        message: "Pin not found on server, removed from local storage"
+                    };
+                } else {
+                    node.status({fill: "red", shape: "dot", text: "Error: " + (error.response ? error.response.status : error.message)});
+
+                    msg.payload = {
+                        success: false,
+                        pinId: pinId,
+                        error: error.message,
+                        response: error.response ? error.response.data : null
+                    };
+                }
+            }
+
+            send(msg);
+            if (done) done();
+        }
+
+        // Record the pin in the bucket of every topic it was pushed to
+        async function storeSharedPin(topics, pin) {
+            try {
+                for (const topic of topics) {
+                    await store.addPin(store.resolveTopicKey(topic), pin);
+                }
+            } catch (e) {
+                node.warn(`Error saving pin to local storage: ${e.message}`);
+            }
+        }
+
+        // Remove the pin from the given topic buckets, or from every topic
+        // bucket when the delete was not scoped to any topics
+        async function unstoreSharedPin(topics, pinId) {
+            const keys = topics.length > 0
+                ? topics.map(store.resolveTopicKey)
+                : store.getKeys().filter(k => k.startsWith(store.resolveTopicKey('')));
+            try {
+                for (const key of keys) {
+                    await store.removePin(key, pinId);
+                }
+            } catch (e) {
+                node.warn(`Error removing pin from local storage: ${e.message}`);
+            }
+        }
+
+        node.on('close', function() {
+        });
+    }
+
+    // Topics may be given as an array or a comma separated string
+    function parseTopics(value) {
+        if (value === undefined || value === null) return [];
+        const list = Array.isArray(value) ? value : String(value).split(',');
+        return list.map(t => String(t).trim()).filter(t => t.length > 0);
+    }
+
+    RED.nodes.registerType("pebble-timeline-shared", PebbleTimelineSharedNode, {
+        credentials: {}
+    });
+};
@@ -0,0 +1,195 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Storage backends for pebble-timeline-store
+ *
+ * The store keeps its collections (pins, subscriptions, series, outbox) in
+ * memory, each an object keyed by store key. A backend persists the value of
+ * one key of one collection:
+ *
+ *   load(collection, key) -> Promise of the saved value, or undefined
+ *   save(collection, key, value) -> Promise; an undefined value removes the key
+ *
+ * Backends flagged as shared may be written by other Node-RED instances, so
+ * the store reloads a key from them before changing it.
+ */
+
+// Backups kept of each file, timeline-<collection>.json.1 being the newest
+const BACKUPS = 3;
+
+/**
+ * Backend keeping each collection in a JSON file, timeline-<collection>.json
+ *
+ * Every write goes to a temporary file that is synced to disk before it
+ * replaces the file, and the replaced version is kept as a backup. A file that
+ * cannot be read is quarantined and the newest readable backup restored.
+ * @param {string} storageDir - Directory of the files
+ * @param {function} [onRecover] - Called with { file, error, quarantined, restored }
+ *   when a file could not be read; restored is the backup used, or null
+ * @returns {object} The backend, which can also read a whole collection at once with loadAll(collection)
+ */
+function fileBackend(storageDir, onRecover) {
+    fs.ensureDirSync(storageDir);
+    const files = {};
+    const data = {};
+
+    function collectionData(collection) {
+        if (!data[collection]) {
+            files[collection] = path.join(storageDir, `timeline-${collection}.json`);
+            data[collection] = readCollection(files[collection], onRecover);
+        }
+        return data[collection];
+    }
+
+    return {
+        type: 'file',
+        shared: false,
+        loadAll(collection) {
+            return { ...collectionData(collection) };
+        },
+        load(collection, key) {
+            return Promise.resolve(collectionData(collection)[key]);
+        },
+        save(collection, key, value) {
+            const contents = collectionData(collection);
+            if (value === undefined) {
+                delete contents[key];
+            } else {
+                contents[key] = value;
+            }
+            return writeFile(files[collection], contents);
+        }
+    };
+}
+
+/**
+ * Backend keeping each key in its own Node-RED global context variable, e.g.
+ * in a Redis-backed context store shared by several instances. Variable names
+ * use a hash of the key, as timeline tokens are not valid context keys.
+ * @param {object} globalContext - The global context, from node.context().global
+ * @param {string} [storeName] - The context store to use, or the default store
+ * @returns {object} The backend
+ */
+function contextBackend(globalContext, storeName) {
+    const store = storeName || undefined;
+
+    function variable(collection, key) {
+        const hash = crypto.createHash('sha1').update(String(key)).digest('hex').substring(0, 24);
+        return `pebbleTimeline_${collection}_${hash}`;
+    }
+
+    return {
+        type: 'context',
+        shared: true,
+        load(collection, key) {
+            return new Promise((resolve, reject) => {
+                globalContext.get(variable(collection, key), store, (err, value) => {
+                    if (err) return reject(err);
+                    // Values are copied so the store's cache never shares
+                    // objects with an in-memory context store
+                    resolve(value === undefined ? undefined : clone(value.value));
+                });
+            });
+        },
+        save(collection, key, value) {
+            const entry = value === undefined ? undefined : { key: String(key), value: clone(value) };
+            return new Promise((resolve, reject) => {
+                globalContext.set(variable(collection, key), entry, store, err => err ? reject(err) : resolve());
+            });
+        }
+    };
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function readFile(file) {
+    const contents = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!contents || typeof contents !== 'object' || Array.isArray(contents)) {
+        throw new Error("Not a JSON object");
+    }
+    return contents;
+}
+
+// A file that cannot be read is moved aside rather than left to be
+// overwritten by the next write, and the newest backup that can be read takes
+// its place
+function readCollection(file, onRecover) {
+    if (!fs.existsSync(file)) return {};
+
+    let error;
+    try {
+        return readFile(file);
+    } catch (e) {
+        error = e;
+    }
+
+    const recovery = { file: file, error: error.message, quarantined: null, restored: null };
+    const quarantine = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    try {
+        fs.renameSync(file, quarantine);
+        recovery.quarantined = quarantine;
+    } catch (e) {
+        // Left in place; it is overwritten with the restored contents below
+    }
+
+    let contents = {};
+    for (let i = 1; i <= BACKUPS; i++) {
+        const backup = `${file}.${i}`;
+        try {
+            if (!fs.existsSync(backup)) continue;
+            contents = readFile(backup);
+            fs.copySync(backup, file);
+            recovery.restored = backup;
+            break;
+        } catch (e) {
+            // Try the next older backup
+        }
+    }
+
+    if (onRecover) onRecover(recovery);
+    return contents;
+}
+
+async function writeFile(file, contents) {
+    const tmp = file + '.tmp';
+    const data = JSON.stringify(contents, null, 2);
+
+    // Synced before the rename, so a power cut cannot leave a truncated file.
+    // writeFile keeps writing until all the data is out, unlike a single write.
+    const fd = await fs.open(tmp, 'w');
+    try {
+        await fs.writeFile(fd, data);
+        await fs.fsync(fd);
+    } finally {
+        await fs.close(fd);
+    }
+
+    await rotateBackups(file);
+    await fs.rename(tmp, file);
+}
+
+// Shift the backups along and keep the current file as the newest one. A hard
+// link keeps it without copying, as the rename then gives the file a new inode.
+async function rotateBackups(file) {
+    if (!await fs.pathExists(file)) return;
+    for (let i = BACKUPS; i > 1; i--) {
+        if (await fs.pathExists(`${file}.${i - 1}`)) {
+            await fs.rename(`${file}.${i - 1}`, `${file}.${i}`);
+        }
+    }
+    await fs.remove(`${file}.1`);
+    try {
+        await fs.link(file, `${file}.1`);
+    } catch (e) {
+        await fs.copy(file, `${file}.1`);
+    }
+}
+
+module.exports = {
+    fileBackend,
+    contextBackend
+};
@@ -1,24 +1,140 @@
-const fs = require('fs-extra');
 const path = require('path');
+const { hashPin } = require('./pebble-timeline-pin');
+const storage = require('./pebble-timeline-storage');
 
-let pinsFile = null;
+// Everything is cached in memory and read synchronously. Writes go to the
+// backend of the store key: the JSON files by default, or the backend a
+// config node chose with useBackend. The outbox always stays in its file.
+let fileStore = null;
+let collections = null;
 let pinsData = null;
+let subscriptionsData = null;
+let outboxData = null;
+let seriesData = null;
+let expiriesData = null;
 let writeQueue = Promise.resolve();
+const backends = new Map();
+// Files that could not be read when the store was loaded
+const recoveries = [];
+
+// Collections keyed by store key, which move with the key's backend
+const KEYED_COLLECTIONS = ['pins', 'subscriptions', 'series', 'expiries'];
+let cleanupTimer = null;
+
+// Retention policies registered by config nodes, by store key. Keys without
+// one (e.g. token overrides and shared pin topics) use the default.
+const retention = new Map();
+const DEFAULT_RETENTION = { graceDays: 30, maxPins: 0, keepFuture: true };
+const CLEANUP_INTERVAL = 60 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
 
 function init(userDir) {
-    if (pinsFile) return;
-    const storageDir = path.join(userDir, 'pebble-timeline');
-    fs.ensureDirSync(storageDir);
-    pinsFile = path.join(storageDir, 'timeline-pins.json');
-    try {
-        pinsData = fs.existsSync(pinsFile)
-            ? JSON.parse(fs.readFileSync(pinsFile, 'utf8'))
-            : {};
-    } catch (e) {
-        pinsData = {};
+    if (fileStore) return;
+    fileStore = storage.fileBackend(path.join(userDir, 'pebble-timeline'), recovery => recoveries.push(recovery));
+    pinsData = fileStore.loadAll('pins');
+    subscriptionsData = fileStore.loadAll('subscriptions');
+    outboxData = fileStore.loadAll('outbox');
+    if (!Array.isArray(outboxData.operations)) outboxData.operations = [];
+    seriesData = fileStore.loadAll('series');
+    expiriesData = fileStore.loadAll('expiries');
+    collections = { pins: pinsData, subscriptions: subscriptionsData, series: seriesData, expiries: expiriesData };
+
+    cleanupTimer = setInterval(() => {
+        enqueue(async () => {
+            for (const key of Object.keys(pinsData)) await reload('pins', key);
+            for (const key of cleanupOldPins(Object.keys(pinsData))) await save('pins', key);
+        }).catch(() => {});
+    }, CLEANUP_INTERVAL);
+    if (cleanupTimer.unref) cleanupTimer.unref();
+}
+
+function getRecoveries() {
+    return recoveries.map(recovery => ({ ...recovery }));
+}
+
+// Show on a node's status that a storage file had to be recovered, as pins
+// may be missing since the backup was made
+function watch(node) {
+    if (recoveries.length === 0) return;
+    const restored = recoveries.every(recovery => recovery.restored);
+    node.status({
+        fill: "red",
+        shape: "ring",
+        text: restored ? "Pin storage restored from backup" : "Pin storage was unreadable"
+    });
+}
+
+// Resolves once every write queued so far has finished
+function flush() {
+    return writeQueue;
+}
+
+// Keep the pins, subscriptions and series of a store key in another backend,
+// e.g. storage.contextBackend. Whatever the key has in the files is moved to
+// the backend if the backend holds nothing for it yet, so switching a config
+// node's storage keeps its pins. Returns a function that switches the key back
+// to the files; onError is called if the backend cannot be read.
+function useBackend(key, backend, onError) {
+    backends.set(key, backend);
+
+    enqueue(async () => {
+        for (const collection of KEYED_COLLECTIONS) {
+            const stored = await backend.load(collection, key);
+            const fromFile = await fileStore.load(collection, key);
+            if (stored === undefined && fromFile !== undefined) {
+                await backend.save(collection, key, fromFile);
+                await fileStore.save(collection, key, undefined);
+            }
+            await reload(collection, key);
+        }
+    }).catch(err => {
+        if (onError) onError(err);
+    });
+
+    return () => {
+        if (backends.get(key) !== backend) return;
+        backends.delete(key);
+        enqueue(async () => {
+            for (const collection of KEYED_COLLECTIONS) {
+                setCached(collection, key, await fileStore.load(collection, key));
+            }
+        });
+    };
+}
+
+function backendFor(key) {
+    return backends.get(key) || fileStore;
+}
+
+function setCached(collection, key, value) {
+    if (value === undefined) {
+        delete collections[collection][key];
+    } else {
+        collections[collection][key] = value;
     }
 }
 
+// Another instance may have written a key kept in a shared backend, so it is
+// read again before being changed
+async function reload(collection, key) {
+    const backend = backendFor(key);
+    if (backend.shared) setCached(collection, key, await backend.load(collection, key));
+}
+
+function save(collection, key) {
+    return backendFor(key).save(collection, key, collections[collection][key]);
+}
+
+function saveOutbox() {
+    return fileStore.save('outbox', 'operations', outboxData.operations);
+}
+
+// Read the pins of a key again from a shared backend, before reads that
+// should include pins stored by other instances
+function refresh(key) {
+    return enqueue(() => reload('pins', key));
+}
+
 // Compute the storage bucket key for a given config node, preferring the
 // timeline token (or a per-message override) and falling back to the config
 // node's own id so each config is isolated even without a token.
@@ -30,28 +146,240 @@ function resolveKey(configNode, override) {
     return 'local';
 }
 
+// Shared pins are not tied to a timeline token, so they are bucketed per topic
+// under a prefix that cannot collide with a token or config node id.
+function resolveTopicKey(topic) {
+    return 'topic:' + String(topic);
+}
+
+function getKeys() {
+    return pinsData ? Object.keys(pinsData) : [];
+}
+
 function getPins(key) {
     if (!pinsData) return [];
     return Array.isArray(pinsData[key]) ? pinsData[key].slice() : [];
 }
 
-function addPin(key, pin) {
-    return enqueue(() => {
+// Stored pins carry bookkeeping fields prefixed with an underscore; a copy
+// without them is what was (or will be) sent to the timeline.
+function stripMetadata(pin) {
+    const clean = {};
+    for (const field of Object.keys(pin)) {
+        if (!field.startsWith('_')) clean[field] = pin[field];
+    }
+    return clean;
+}
+
+function getPin(key, pinId) {
+    const pin = getPins(key).find(p => p.id === pinId);
+    return pin ? stripMetadata(pin) : null;
+}
+
+// Besides the time it was stored, each pin records the hash of its content
+// and, when it was sent to a server, the status the server answered with.
+function addPin(key, pin, meta = {}) {
+    return enqueue(async () => {
+        await reload('pins', key);
         if (!Array.isArray(pinsData[key])) pinsData[key] = [];
         pinsData[key] = pinsData[key].filter(p => p.id !== pin.id);
-        pinsData[key].push({ ...pin, _stored: new Date().toISOString() });
-        cleanupOldPins();
-        return writeFile();
+        const entry = { ...pin, _stored: new Date().toISOString(), _hash: hashPin(pin) };
+        if (meta.status !== undefined) entry._status = meta.status;
+        pinsData[key].push(entry);
+        cleanupOldPins([key]);
+        return save('pins', key);
+    });
+}
+
+// Imported pins keep their bookkeeping fields, so pins that were sent from
+// another host are still known as sent; the hash is computed again. Replacing
+// drops the key's other pins, merging only the ones with the same id.
+function importPins(key, entries, options = {}) {
+    return enqueue(async () => {
+        await reload('pins', key);
+        const ids = new Set(entries.map(entry => entry.id));
+        const kept = options.replace || !Array.isArray(pinsData[key])
+            ? []
+            : pinsData[key].filter(p => !ids.has(p.id));
+        const now = new Date().toISOString();
+        pinsData[key] = kept.concat(entries.map(entry => ({
+            ...entry,
+            _stored: entry._stored || now,
+            _hash: hashPin(stripMetadata(entry))
+        })));
+        cleanupOldPins([key]);
+        return save('pins', key);
     });
 }
 
 function removePin(key, pinId) {
-    return enqueue(() => {
+    return enqueue(async () => {
+        await reload('pins', key);
         if (!Array.isArray(pinsData[key])) return false;
         const before = pinsData[key].length;
         pinsData[key] = pinsData[key].filter(p => p.id !== pinId);
         if (pinsData[key].length === before) return false;
-        return writeFile().then(() => true);
+        return save('pins', key).then(() => true);
+    });
+}
+
+// Topic subscriptions are kept in their own collection, keyed the same way as pins,
+// so local emulation mode can answer /v1/user/subscriptions without a server.
+function getSubscriptions(key) {
+    if (!subscriptionsData) return [];
+    return Array.isArray(subscriptionsData[key]) ? subscriptionsData[key].slice() : [];
+}
+
+function addSubscription(key, topic) {
+    return enqueue(async () => {
+        await reload('subscriptions', key);
+        if (!Array.isArray(subscriptionsData[key])) subscriptionsData[key] = [];
+        if (subscriptionsData[key].includes(topic)) return false;
+        subscriptionsData[key].push(topic);
+        return save('subscriptions', key).then(() => true);
+    });
+}
+
+function removeSubscription(key, topic) {
+    return enqueue(async () => {
+        await reload('subscriptions', key);
+        if (!Array.isArray(subscriptionsData[key])) return false;
+        const before = subscriptionsData[key].length;
+        subscriptionsData[key] = subscriptionsData[key].filter(t => t !== topic);
+        if (subscriptionsData[key].length === before) return false;
+        if (subscriptionsData[key].length === 0) delete subscriptionsData[key];
+        return save('subscriptions', key).then(() => true);
+    });
+}
+
+// Recurring series are keyed the same way as pins and then by series id. A
+// series records its rule and how far ahead its occurrences have been sent,
+// so the rolling window can be topped up after a restart.
+function getSeriesKeys() {
+    return seriesData ? Object.keys(seriesData) : [];
+}
+
+function getSeries(key) {
+    if (!seriesData || !seriesData[key]) return [];
+    return Object.values(seriesData[key]).map(series => ({ ...series }));
+}
+
+function saveSeries(key, series) {
+    return enqueue(async () => {
+        await reload('series', key);
+        if (!seriesData[key] || typeof seriesData[key] !== 'object') seriesData[key] = {};
+        seriesData[key][series.seriesId] = { ...series };
+        return save('series', key);
+    });
+}
+
+function removeSeries(key, seriesId) {
+    return enqueue(async () => {
+        await reload('series', key);
+        if (!seriesData[key] || !seriesData[key][seriesId]) return false;
+        delete seriesData[key][seriesId];
+        if (Object.keys(seriesData[key]).length === 0) delete seriesData[key];
+        return save('series', key).then(() => true);
+    });
+}
+
+// Scheduled deletions, e.g. of notifications with a time to live, are keyed
+// the same way as pins and then by pin id, so they still happen after a
+// restart. Each records when the pin expires and how to reach its timeline;
+// one without an expiry time only keeps the pin findable by its key.
+function getExpiryKeys() {
+    return expiriesData ? Object.keys(expiriesData) : [];
+}
+
+function getExpiries(key) {
+    if (!expiriesData || !expiriesData[key]) return [];
+    return Object.values(expiriesData[key]).map(expiry => ({ ...expiry }));
+}
+
+function saveExpiry(key, expiry) {
+    return enqueue(async () => {
+        await reload('expiries', key);
+        if (!expiriesData[key] || typeof expiriesData[key] !== 'object') expiriesData[key] = {};
+        expiriesData[key][expiry.pinId] = { ...expiry };
+        return save('expiries', key);
+    });
+}
+
+function removeExpiry(key, pinId) {
+    return enqueue(async () => {
+        await reload('expiries', key);
+        if (!expiriesData[key] || !expiriesData[key][pinId]) return false;
+        delete expiriesData[key][pinId];
+        if (Object.keys(expiriesData[key]).length === 0) delete expiriesData[key];
+        return save('expiries', key).then(() => true);
+    });
+}
+
+// The outbox holds remote operations that failed and are waiting to be
+// retried. Operations are kept in the order they were queued; each one
+// targets a single pin URL on the timeline given by its scope, and names the
+// config node whose token and store key it is retried with, so no token is
+// written to the outbox file.
+function getOutbox() {
+    if (!outboxData) return [];
+    return outboxData.operations.map(op => ({ ...op }));
+}
+
+function queueOperation(op, keys) {
+    return enqueue(() => {
+        const ops = outboxData.operations;
+        const pending = ops.filter(o => o.scope === op.scope && o.url === op.url);
+        const lastPending = pending[pending.length - 1];
+
+        if (op.method === 'put' && lastPending && lastPending.method === 'put') {
+            // A newer version of the same pin replaces the one still waiting
+            outboxData.operations = ops.filter(o => o !== lastPending);
+        } else if (op.method === 'delete' && lastPending && lastPending.method === 'put') {
+            // An add followed by a delete collapses: the add is dropped, and the
+            // delete is only kept if an earlier version reached the server
+            outboxData.operations = ops.filter(o => o !== lastPending);
+            const delivered = (keys || []).some(k => getPins(k).some(p => p.id === op.pinId));
+            if (!delivered && pending.length === 1) {
+                return saveOutbox().then(() => null);
+            }
+        }
+
+        const entry = {
+            ...op,
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            attempts: op.attempts || 0,
+            queued: new Date().toISOString(),
+            nextAttempt: op.nextAttempt || new Date().toISOString()
+        };
+        outboxData.operations.push(entry);
+        return saveOutbox().then(() => ({ ...entry }));
+    });
+}
+
+function updateOperation(id, changes) {
+    return enqueue(() => {
+        const op = outboxData.operations.find(o => o.id === id);
+        if (!op) return false;
+        Object.assign(op, changes);
+        return saveOutbox().then(() => true);
+    });
+}
+
+function removeOperation(id) {
+    return enqueue(() => {
+        const before = outboxData.operations.length;
+        outboxData.operations = outboxData.operations.filter(o => o.id !== id);
+        if (outboxData.operations.length === before) return false;
+        return saveOutbox().then(() => true);
+    });
+}
+
+function removeOperationsFor(scope, url) {
+    return enqueue(() => {
+        const before = outboxData.operations.length;
+        outboxData.operations = outboxData.operations.filter(o => o.scope !== scope || o.url !== url);
+        if (outboxData.operations.length === before) return false;
+        return saveOutbox().then(() => true);
     });
 }
 
@@ -63,31 +391,100 @@ function enqueue(fn) {
     return next;
 }
 
-function cleanupOldPins() {
-    const oneMonthAgo = new Date();
-    oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
-    for (const k of Object.keys(pinsData)) {
+// Set how long the pins of a store key are kept:
+// - graceDays: days a pin is kept after it ends (time plus duration)
+// - maxPins: most pins kept for the key, dropping those that ended first (0 for no limit)
+// - keepFuture: never drop pins that have not ended yet to stay within maxPins
+// Returns a function that removes the policy again.
+function setRetention(key, policy) {
+    const entry = { ...DEFAULT_RETENTION };
+    for (const field of Object.keys(entry)) {
+        if (policy[field] !== undefined) entry[field] = policy[field];
+    }
+    retention.set(key, entry);
+    return () => {
+        if (retention.get(key) === entry) retention.delete(key);
+    };
+}
+
+function getRetention(key) {
+    return { ...(retention.get(key) || DEFAULT_RETENTION) };
+}
+
+// When a pin ends; pins without a readable time fall back to when they were
+// stored, so they still expire eventually
+function pinEnd(pin) {
+    const start = new Date(pin.time).getTime();
+    if (isNaN(start)) return new Date(pin._stored).getTime();
+    return start + (Number(pin.duration) || 0) * 60 * 1000;
+}
+
+// Drops the pins of the given keys that their retention policy no longer
+// keeps. Returns the keys that changed, so the caller knows what to save.
+function cleanupOldPins(keys) {
+    const now = Date.now();
+    const changed = [];
+    for (const k of keys) {
         if (!Array.isArray(pinsData[k])) {
             pinsData[k] = [];
+            changed.push(k);
             continue;
         }
-        pinsData[k] = pinsData[k].filter(pin => {
+        const policy = getRetention(k);
+        const cutoff = now - policy.graceDays * DAY;
+
+        let kept = pinsData[k].filter(pin => {
             if (!pin || !pin._stored) return false;
-            const d = new Date(pin._stored);
-            return !isNaN(d.getTime()) && d >= oneMonthAgo;
+            const end = pinEnd(pin);
+            return !isNaN(end) && end >= cutoff;
         });
-    }
-}
 
-function writeFile() {
-    const tmp = pinsFile + '.tmp';
-    const data = JSON.stringify(pinsData, null, 2);
-    return new Promise((resolve, reject) => {
-        fs.writeFile(tmp, data, (err) => {
-            if (err) return reject(err);
-            fs.rename(tmp, pinsFile, (err2) => err2 ? reject(err2) : resolve());
-        });
-    });
+        if (policy.maxPins > 0 && kept.length > policy.maxPins) {
+            const droppable = kept
+                .filter(pin => !policy.keepFuture || pinEnd(pin) < now)
+                .sort((a, b) => pinEnd(a) - pinEnd(b));
+            const drop = new Set(droppable.slice(0, kept.length - policy.maxPins));
+            kept = kept.filter(pin => !drop.has(pin));
+        }
+
+        if (kept.length !== pinsData[k].length) changed.push(k);
+        pinsData[k] = kept;
+    }
+    return changed;
 }
 
-module.exports = { init, resolveKey, getPins, addPin, removePin };
+module.exports = {
+    init,
+    getRecoveries,
+    watch,
+    flush,
+    useBackend,
+    refresh,
+    resolveKey,
+    resolveTopicKey,
+    getKeys,
+    getPins,
+    getPin,
+    stripMetadata,
+    addPin,
+    importPins,
+    removePin,
+    setRetention,
+    getRetention,
+    getSubscriptions,
+    addSubscription,
+    removeSubscription,
+    getSeriesKeys,
+    getSeries,
+    saveSeries,
+    removeSeries,
+    getExpiryKeys,
+    getExpiries,
+    saveExpiry,
+    removeExpiry,
+    getOutbox,
+    queueOperation,
+    updateOperation,
+    removeOperation,
+    removeOperationsFor
+};
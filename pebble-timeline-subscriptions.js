@@ -0,0 +1,168 @@
+const axios = require('axios');
+const { evaluateSingleProperty } = require('./pebble-timeline-pin');
+const store = require('./pebble-timeline-store');
+
+/**
+ * Node-RED node for managing a user's topic subscriptions
+ *
+ * Subscribing a timeline token to a topic makes every shared pin pushed to
+ * that topic appear on the user's watch.
+ *
+ * Endpoints used:
+ * - GET /v1/user/subscriptions - List the topics the user is subscribed to
+ * - POST /v1/user/subscriptions/{topic} - Subscribe the user to a topic
+ * - DELETE /v1/user/subscriptions/{topic} - Unsubscribe the user from a topic
+ */
+module.exports = function(RED) {
+    function PebbleTimelineSubscriptionsNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        const configNode = RED.nodes.getNode(config.config);
+        if (!configNode) {
+            node.error("No Pebble Timeline configuration found");
+            return;
+        }
+
+        store.init(RED.settings.userDir);
+        store.watch(node);
+
+        node.on('input', async function(msg, send, done) {
+            send = send || function() { node.send.apply(node, arguments) };
+
+            const operation = config.operation || 'list';
+
+            try {
+                let apiUrlOverride = null;
+                let tokenOverride = null;
+
+                if (config.apiUrl && config.apiUrl !== "null") {
+                    try {
+                        apiUrlOverride = await evaluateSingleProperty(RED, config.apiUrl, config.apiUrlType, node, msg);
+                    } catch (err) {
+                        node.warn(`Error evaluating API URL override: ${err.message}`);
+                    }
+                }
+
+                if (config.token && config.token !== "null") {
+                    try {
+                        tokenOverride = await evaluateSingleProperty(RED, config.token, config.tokenType, node, msg);
+                    } catch (err) {
+                        node.warn(`Error evaluating token override: ${err.message}`);
+                    }
+                }
+
+                const baseApiUrl = apiUrlOverride || configNode.apiUrl;
+                const timelineToken = tokenOverride || configNode.credentials.timelineToken;
+                const storeKey = store.resolveKey(configNode, tokenOverride);
+
+                const isLocalMode = !baseApiUrl || baseApiUrl.trim() === '';
+
+                let topics = [];
+                if (operation !== 'list') {
+                    topics = parseTopics(await evaluateSingleProperty(RED, config.topics, config.topicsType, node, msg));
+                    if (topics.length === 0) {
+                        node.error("At least one topic is required", msg);
+                        node.status({fill: "red", shape: "dot", text: "Missing topics"});
+                        if (done) done("At least one topic is required");
+                        return;
+                    }
+                }
+
+                if (isLocalMode) {
+                    node.debug(`Local emulation mode - ${operation} subscriptions locally`);
+
+                    for (const topic of topics) {
+                        if (operation === 'subscribe') {
+                            await store.addSubscription(storeKey, topic);
+                        } else {
+                            await store.removeSubscription(storeKey, topic);
+                        }
+                    }
+
+                    const subscriptions = store.getSubscriptions(storeKey);
+                    node.status({fill: "green", shape: "dot", text: `${subscriptions.length} topics (local)`});
+
+                    msg.payload = {
+                        success: true,
+                        operation: operation,
+                        topics: topics,
+                        subscriptions: subscriptions,
+                        mode: 'local'
+                    };
+
+                    send(msg);
+                    if (done) done();
+                    return;
+                }
+
+                if (!timelineToken) {
+                    node.error("Timeline token is required", msg);
+                    node.status({fill: "red", shape: "dot", text: "Missing token"});
+                    if (done) done("Timeline token is required");
+                    return;
+                }
+
+                const headers = { 'X-User-Token': timelineToken };
+                const apiUrl = `${baseApiUrl}/v1/user/subscriptions`;
+
+                try {
+                    for (const topic of topics) {
+                        const topicUrl = `${apiUrl}/${encodeURIComponent(topic)}`;
+                        if (operation === 'subscribe') {
+                            await axios.post(topicUrl, null, { headers });
+                            await store.addSubscription(storeKey, topic);
+                        } else {
+                            await axios.delete(topicUrl, { headers });
+                            await store.removeSubscription(storeKey, topic);
+                        }
+                    }
+
+                    const response = await axios.get(apiUrl, { headers });
+                    const subscriptions = response.data && Array.isArray(response.data.topics)
+                        ? response.data.topics
+                        : [];
+
+                    node.status({fill: "green", shape: "dot", text: `${subscriptions.length} topics`});
+
+                    msg.payload = {
+                        success: true,
+                        operation: operation,
+                        topics: topics,
+                        subscriptions: subscriptions
+                    };
+                } catch (error) {
+                    node.status({fill: "red", shape: "dot", text: "Error: " + (error.response ? error.response.status : error.message)});
+
+                    msg.payload = {
+                        success: false,
+                        operation: operation,
+                        topics: topics,
+                        error: error.message,
+                        response: error.response ? error.response.data : null
+                    };
+                }
+
+                send(msg);
+                if (done) done();
+            } catch (err) {
+                node.status({fill: "red", shape: "dot", text: "Error: " + err.message});
+                if (done) done(err);
+            }
+        });
+
+        node.on('close', function() {
+        });
+    }
+
+    // Topics may be given as an array or a comma separated string
+    function parseTopics(value) {
+        if (value === undefined || value === null) return [];
+        const list = Array.isArray(value) ? value : String(value).split(',');
+        return list.map(t => String(t).trim()).filter(t => t.length > 0);
+    }
+
+    RED.nodes.registerType("pebble-timeline-subscriptions", PebbleTimelineSubscriptionsNode, {
+        credentials: {}
+    });
+};
@@ -0,0 +1,152 @@
+const { evaluateSingleProperty, defaultTinyIcon } = require('./pebble-timeline-pin');
+const publish = require('./pebble-timeline-publish');
+const { reconcile, namespaceValid } = require('./pebble-timeline-reconcile');
+const store = require('./pebble-timeline-store');
+const outbox = require('./pebble-timeline-outbox');
+const limiter = require('./pebble-timeline-limiter');
+
+/**
+ * Node-RED node for syncing a namespace of pins to a desired list
+ *
+ * msg.payload is the complete list of pins that should exist in the
+ * namespace. It is compared with the pins pebble-timeline-store holds for the
+ * namespace, and only the PUTs and DELETEs needed to match it are sent.
+ *
+ * A namespace is an id prefix: pin ids are prefixed with "<namespace>-"
+ * unless they already start with it.
+ */
+
+const MAX_NAMESPACE_LENGTH = 32;
+
+module.exports = function(RED) {
+    function PebbleTimelineSyncNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get the config node
+        const configNode = RED.nodes.getNode(config.config);
+        if (!configNode) {
+            node.error("No Pebble Timeline configuration found");
+            return;
+        }
+
+        store.init(RED.settings.userDir);
+        store.watch(node);
+        outbox.start();
+        outbox.watch(node);
+        limiter.watch(node);
+
+        node.on('input', async function(msg, send, done) {
+            // Backwards compatibility with Node-RED 0.x
+            send = send || function() { node.send.apply(node, arguments) };
+
+            try {
+                node.status({fill: "blue", shape: "dot", text: "Processing..."});
+
+                const namespace = msg.namespace || config.namespace;
+                if (!namespaceValid(namespace) || namespace.length > MAX_NAMESPACE_LENGTH) {
+                    throw new Error(`Namespace must be at most ${MAX_NAMESPACE_LENGTH} letters, digits or underscores`);
+                }
+
+                if (!Array.isArray(msg.payload)) {
+                    throw new Error("Payload must be the array of pins wanted in the namespace");
+                }
+
+                const prefix = namespace + '-';
+                const pins = msg.payload.map((pin, i) => {
+                    if (!pin || typeof pin !== 'object' || !pin.id) {
+                        throw new Error(`Pin ${i} must be an object with an id`);
+                    }
+                    return namespacedPin(pin, prefix);
+                });
+
+                const ids = new Set();
+                for (const pin of pins) {
+                    if (ids.has(pin.id)) throw new Error(`Duplicate pin id: ${pin.id}`);
+                    ids.add(pin.id);
+                }
+
+                let apiUrlOverride = null;
+                let tokenOverride = null;
+
+                try {
+                    apiUrlOverride = await evaluateSingleProperty(RED, config.apiUrl, config.apiUrlType, node, msg);
+                } catch (err) {
+                    node.warn(`Error evaluating API URL override: ${err.message}`);
+                }
+
+                try {
+                    tokenOverride = await evaluateSingleProperty(RED, config.token, config.tokenType, node, msg);
+                } catch (err) {
+                    node.warn(`Error evaluating token override: ${err.message}`);
+                }
+
+                const target = publish.resolveTarget(configNode, apiUrlOverride, tokenOverride);
+
+                if (!target.isLocalMode && !target.timelineToken) {
+                    node.status({fill: "red", shape: "dot", text: "Missing token"});
+                    if (done) done("Timeline token is required");
+                    return;
+                }
+
+                node.status({fill: "blue", shape: "dot", text: `Syncing ${pins.length} pins`});
+
+                const summary = await reconcile(node, target, pins, {
+                    prefix: prefix,
+                    concurrency: Number(config.concurrency) || undefined
+                });
+
+                if (summary.failed.length > 0) {
+                    node.status({fill: "red", shape: "dot", text: `${summary.failed.length} failed`});
+                } else {
+                    node.status({
+                        fill: "green",
+                        shape: "dot",
+                        text: `+${summary.added.length} ~${summary.changed.length} -${summary.removed.length}`
+                    });
+                }
+
+                msg.payload = {
+                    success: summary.failed.length === 0,
+                    namespace: namespace,
+                    added: summary.added,
+                    changed: summary.changed,
+                    removed: summary.removed,
+                    unchanged: summary.unchanged,
+                    failed: summary.failed
+                };
+                if (target.isLocalMode) msg.payload.mode = 'local';
+
+                send(msg);
+                if (done) done();
+            } catch (err) {
+                node.status({fill: "red", shape: "dot", text: "Error: " + err.message});
+
+                msg.payload = {
+                    success: false,
+                    error: err.message
+                };
+
+                send(msg);
+                if (done) done();
+            }
+        });
+
+        node.on('close', function() {
+        });
+    }
+
+    // Prefix the id and fill in the layout defaults, so the pin compares
+    // equal to the stored copy when nothing has changed
+    function namespacedPin(pin, prefix) {
+        const id = String(pin.id);
+        const result = { ...pin, id: id.startsWith(prefix) ? id : prefix + id };
+        result.layout = { type: "genericPin", ...pin.layout };
+        if (!result.layout.tinyIcon) result.layout.tinyIcon = defaultTinyIcon(result.layout.type);
+        return result;
+    }
+
+    RED.nodes.registerType("pebble-timeline-sync", PebbleTimelineSyncNode, {
+        credentials: {}
+    });
+};
@@ -0,0 +1,26 @@
+const { parseTemplate } = require('./pebble-timeline-pin');
+
+/**
+ * Config node holding a partial pin, e.g. a house style of layout, colors,
+ * icons, reminders and actions, that add nodes build their pins on
+ *
+ * The settings are checked when the node starts; an add node using an
+ * invalid template reports the error instead of sending an unstyled pin.
+ */
+
+module.exports = function(RED) {
+    function PebbleTimelineTemplateNode(n) {
+        RED.nodes.createNode(this, n);
+        this.name = n.name;
+
+        try {
+            this.pin = parseTemplate(n);
+        } catch (err) {
+            this.pin = null;
+            this.templateError = err.message;
+            this.error(`Invalid pin template: ${err.message}`);
+        }
+    }
+
+    RED.nodes.registerType("pebble-timeline-template", PebbleTimelineTemplateNode);
+};
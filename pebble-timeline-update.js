@@ -0,0 +1,191 @@
+const { evaluateSingleProperty, mergePin, getField } = require('./pebble-timeline-pin');
+const publish = require('./pebble-timeline-publish');
+const store = require('./pebble-timeline-store');
+const outbox = require('./pebble-timeline-outbox');
+const limiter = require('./pebble-timeline-limiter');
+
+/**
+ * Node-RED node for updating part of a pin that was already sent
+ *
+ * The pin is looked up in the local pin store, the partial pin from the
+ * message is deep-merged into it and the merged pin is sent again. When one of
+ * the configured fields changes, an updateNotification describing the change
+ * is attached so the watch alerts the user.
+ */
+module.exports = function(RED) {
+    function PebbleTimelineUpdateNode(config) {
+        RED.nodes.createNode(this, config);
+        const node = this;
+
+        // Get the config node
+        const configNode = RED.nodes.getNode(config.config);
+        if (!configNode) {
+            node.error("No Pebble Timeline configuration found");
+            return;
+        }
+
+        store.init(RED.settings.userDir);
+        store.watch(node);
+        outbox.start();
+        outbox.watch(node);
+        limiter.watch(node);
+
+        // Fields that trigger an updateNotification when their value changes
+        const notifyFields = (config.notifyFields || '')
+            .split(',')
+            .map(field => field.trim())
+            .filter(field => field);
+
+        node.on('input', async function(msg, send, done) {
+            // Backwards compatibility with Node-RED 0.x
+            send = send || function() { node.send.apply(node, arguments) };
+
+            try {
+                node.status({fill: "blue", shape: "dot", text: "Processing..."});
+
+                const pinId = await evaluateSingleProperty(RED, config.pinId, config.pinIdType, node, msg);
+                if (!pinId) {
+                    node.status({fill: "red", shape: "dot", text: "Missing pin ID"});
+                    if (done) done("Pin ID is required");
+                    return;
+                }
+
+                const changes = await evaluateSingleProperty(RED, config.changes, config.changesType, node, msg);
+                if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+                    node.status({fill: "red", shape: "dot", text: "Invalid changes"});
+                    if (done) done("Changes must be an object containing the pin fields to update");
+                    return;
+                }
+
+                // Check for server override options
+                let apiUrlOverride = null;
+                let tokenOverride = null;
+
+                try {
+                    apiUrlOverride = await evaluateSingleProperty(RED, config.apiUrl, config.apiUrlType, node, msg);
+                } catch (err) {
+                    node.warn(`Error evaluating API URL override: ${err.message}`);
+                }
+
+                try {
+                    tokenOverride = await evaluateSingleProperty(RED, config.token, config.tokenType, node, msg);
+                } catch (err) {
+                    node.warn(`Error evaluating token override: ${err.message}`);
+                }
+
+                const target = publish.resolveTarget(configNode, apiUrlOverride, tokenOverride);
+
+                if (!target.isLocalMode && !target.timelineToken) {
+                    node.status({fill: "red", shape: "dot", text: "Missing token"});
+                    if (done) done("Timeline token is required");
+                    return;
+                }
+
+                await store.refresh(target.storeKey);
+                const stored = store.getPin(target.storeKey, String(pinId));
+                if (!stored) {
+                    const errMsg = `Pin ${pinId} was not found in the local pin store`;
+                    node.status({fill: "red", shape: "dot", text: "Pin not found"});
+                    node.error(errMsg, msg);
+
+                    msg.payload = {
+                        success: false,
+                        pinId: String(pinId),
+                        error: errMsg,
+                        notFound: true
+                    };
+
+                    send(msg);
+                    if (done) done();
+                    return;
+                }
+
+                // A previous update's notification must not be shown again
+                const { updateNotification, ...previous } = stored;
+                const { id, ...partial } = changes;
+                const pin = mergePin(previous, partial);
+
+                const changed = notifyFields.filter(field => {
+                    return JSON.stringify(getField(previous, field)) !== JSON.stringify(getField(pin, field));
+                });
+
+                if (changed.length > 0 && !partial.updateNotification) {
+                    pin.updateNotification = buildNotification(pin, changed);
+                }
+
+                node.debug(`Sending updated pin: ${JSON.stringify(pin, null, 2)}`);
+
+                const result = await publish.putPin(node, target, pin);
+
+                msg.payload = {
+                    success: result.success,
+                    pin: pin,
+                    previous: previous,
+                    changed: changed
+                };
+
+                if (result.validationError) {
+                    node.status({fill: "red", shape: "dot", text: "Validation failed"});
+                    node.error(result.error, msg);
+                    msg.payload.error = result.error;
+                    msg.payload.validationError = result.validationError;
+                } else if (result.success) {
+                    node.status({fill: "green", shape: "dot", text: result.mode === 'local' ? "Updated (local)" : "Updated"});
+                    if (result.mode === 'local') {
+                        msg.payload.mode = 'local';
+                    } else {
+                        msg.payload.response = result.response;
+                    }
+                } else {
+                    node.status({fill: "red", shape: "dot", text: "Error: " + (result.status || result.error)});
+                    msg.payload.error = result.error;
+                    msg.payload.response = result.response;
+                    if (result.queued) msg.payload.queued = true;
+                }
+
+                send(msg);
+                if (done) done();
+            } catch (err) {
+                node.status({fill: "red", shape: "dot", text: "Error: " + err.message});
+
+                msg.payload = {
+                    success: false,
+                    error: err.message
+                };
+
+                send(msg);
+                if (done) done();
+            }
+        });
+
+        // Describe the changed fields, e.g. "homeScore: 2", unless the node
+        // configures its own notification text
+        function buildNotification(pin, changed) {
+            const body = config.notificationBody || changed
+                .map(field => `${field.split('.').pop()}: ${formatValue(getField(pin, field))}`)
+                .join('\n');
+
+            return {
+                time: new Date().toISOString(),
+                layout: {
+                    type: "genericNotification",
+                    title: config.notificationTitle || pin.layout.title,
+                    tinyIcon: pin.layout.tinyIcon,
+                    body: body.substring(0, 512)
+                }
+            };
+        }
+
+        node.on('close', function() {
+        });
+    }
+
+    function formatValue(value) {
+        if (value === undefined) return "removed";
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    RED.nodes.registerType("pebble-timeline-update", PebbleTimelineUpdateNode, {
+        credentials: {}
+    });
+};
@@ -7,6 +7,70 @@
 const ISO_FORMAT = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/;
 const ISO_FORMAT_MSEC = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
 
+const MAX_ID_LENGTH = 64;
+// Pin ids are part of the request URL, so only characters that need no
+// escaping in a URL path segment are accepted
+const ID_PATTERN = /^[A-Za-z0-9._~-]+$/;
+const MAX_BODY_LENGTH = 512;
+const MAX_HEADINGS_LENGTH = 128;
+const MAX_PARAGRAPHS_LENGTH = 1024;
+
+/**
+ * Layouts and the fields each one requires, per object the layout is used in
+ * Based on the layout documentation at
+ * https://developer.pebble.com/guides/pebble-timeline/pin-structure/
+ */
+const PIN_LAYOUTS = {
+    genericPin: ['title', 'tinyIcon'],
+    calendarPin: ['title', 'tinyIcon'],
+    sportsPin: ['title', 'tinyIcon'],
+    weatherPin: ['title', 'tinyIcon', 'locationName']
+};
+
+const NOTIFICATION_LAYOUTS = {
+    genericNotification: ['title', 'tinyIcon']
+};
+
+const REMINDER_LAYOUTS = {
+    genericReminder: ['title', 'tinyIcon']
+};
+
+const STRING_FIELDS = [
+    'title', 'subtitle', 'body', 'tinyIcon', 'smallIcon', 'largeIcon',
+    'locationName', 'shortTitle', 'shortSubtitle',
+    'rankAway', 'rankHome', 'nameAway', 'nameHome',
+    'recordAway', 'recordHome', 'scoreAway', 'scoreHome'
+];
+
+const COLOR_FIELDS = ['primaryColor', 'secondaryColor', 'backgroundColor'];
+
+const SPORTS_GAME_STATES = ['pre-game', 'in-game'];
+
+const DISPLAY_TIMES = ['pin', 'none'];
+
+// The 64 Pebble SDK color constants, lower-cased, plus clear
+const COLOR_NAMES = [
+    'black', 'oxfordblue', 'dukeblue', 'blue', 'darkgreen', 'midnightgreen', 'cobaltblue', 'bluemoon',
+    'islamicgreen', 'jaegergreen', 'tiffanyblue', 'vividcerulean', 'green', 'malachite', 'mediumspringgreen', 'cyan',
+    'bulgarianrose', 'imperialpurple', 'indigo', 'electricultramarine', 'armygreen', 'darkgray', 'liberty', 'verylightblue',
+    'kellygreen', 'maygreen', 'cadetblue', 'pictonblue', 'brightgreen', 'screamingreen', 'mediumaquamarine', 'electricblue',
+    'darkcandyapplered', 'jazzberryjam', 'purple', 'vividviolet', 'windsortan', 'rosevale', 'purpureus', 'lavenderindigo',
+    'limerick', 'brass', 'lightgray', 'babyblueeyes', 'springbud', 'inchworm', 'mintgreen', 'celeste',
+    'red', 'folly', 'fashionmagenta', 'magenta', 'orange', 'sunsetorange', 'brilliantrose', 'shockingpink',
+    'chromeyellow', 'rajah', 'melon', 'richbrilliantlavender', 'yellow', 'icterine', 'pastelyellow', 'white',
+    'clear'
+];
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+const ACTION_TYPES = ['openWatchApp', 'http', 'remove'];
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
+const BODYLESS_METHODS = ['GET', 'DELETE'];
+const MAX_LAUNCH_CODE = 0xFFFFFFFF;
+// The action menu on the watch becomes unwieldy long before this, and the
+// firmware has no documented limit, so cap it at a sensible number
+const MAX_ACTIONS = 8;
+
 /**
  * Parse ISO 8601 time string
  * @param {string} timeStr - ISO 8601 formatted time string
@@ -47,14 +111,196 @@ function timeValid(time) {
     return true;
 }
 
+/**
+ * Check that a color is a six-digit hex string or a Pebble color name
+ * @param {string} color - Color value from a layout
+ * @returns {boolean} True if the color is valid
+ */
+function colorValid(color) {
+    if (typeof color !== 'string') return false;
+    return HEX_COLOR.test(color) || COLOR_NAMES.includes(color.toLowerCase());
+}
+
+/**
+ * Convert a layout color to a CSS hex color
+ * @param {string} color - Six-digit hex string or Pebble color name
+ * @returns {string|null} The #rrggbb color, 'transparent' for clear, or null if invalid
+ */
+function colorHex(color) {
+    if (!colorValid(color)) return null;
+    if (HEX_COLOR.test(color)) return color.toLowerCase();
+
+    const name = color.toLowerCase();
+    if (name === 'clear') return 'transparent';
+
+    // The names are in GColor order: two bits each of red, green and blue
+    const index = COLOR_NAMES.indexOf(name);
+    const channel = shift => (((index >> shift) & 3) * 0x55).toString(16).padStart(2, '0');
+    return '#' + channel(4) + channel(2) + channel(0);
+}
+
+/**
+ * Validate a layout object against the layouts allowed for where it is used
+ * @param {object} layout - The layout to validate
+ * @param {object} layouts - Map of allowed layout types to their required fields
+ * @returns {object} Object with valid (boolean) and error (string) properties
+ */
+function layoutValid(layout, layouts) {
+    if (!layout || typeof layout !== 'object') {
+        return { valid: false, error: 'missing_layout' };
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(layouts, layout.type)) {
+        return { valid: false, error: 'unknown_layout_type' };
+    }
+
+    for (const field of layouts[layout.type]) {
+        if (layout[field] === undefined || layout[field] === null || layout[field] === '') {
+            return { valid: false, error: `missing_${field}` };
+        }
+    }
+
+    for (const field of STRING_FIELDS) {
+        if (layout[field] !== undefined && typeof layout[field] !== 'string') {
+            return { valid: false, error: `invalid_${field}` };
+        }
+    }
+
+    if (layout.body && layout.body.length > MAX_BODY_LENGTH) {
+        return { valid: false, error: 'body_too_long' };
+    }
+
+    for (const field of COLOR_FIELDS) {
+        if (layout[field] !== undefined && !colorValid(layout[field])) {
+            return { valid: false, error: `invalid_${field}` };
+        }
+    }
+
+    if (layout.sportsGameState !== undefined && !SPORTS_GAME_STATES.includes(layout.sportsGameState)) {
+        return { valid: false, error: 'invalid_sports_game_state' };
+    }
+
+    if (layout.displayTime !== undefined && !DISPLAY_TIMES.includes(layout.displayTime)) {
+        return { valid: false, error: 'invalid_display_time' };
+    }
+
+    if (layout.lastUpdated !== undefined) {
+        try {
+            parseTime(layout.lastUpdated);
+        } catch (e) {
+            return { valid: false, error: 'invalid_last_updated' };
+        }
+    }
+
+    if (layout.headings !== undefined || layout.paragraphs !== undefined) {
+        const headings = layout.headings || [];
+        const paragraphs = layout.paragraphs || [];
+
+        if (!Array.isArray(headings) || !headings.every(h => typeof h === 'string')) {
+            return { valid: false, error: 'invalid_headings' };
+        }
+        if (!Array.isArray(paragraphs) || !paragraphs.every(p => typeof p === 'string')) {
+            return { valid: false, error: 'invalid_paragraphs' };
+        }
+        if (headings.length !== paragraphs.length) {
+            return { valid: false, error: 'headings_paragraphs_mismatch' };
+        }
+        // Lengths are counted the way the add node truncates them, one
+        // separator between each entry
+        if (headings.join('').length + Math.max(headings.length - 1, 0) > MAX_HEADINGS_LENGTH) {
+            return { valid: false, error: 'headings_too_long' };
+        }
+        if (paragraphs.join('').length + Math.max(paragraphs.length - 1, 0) > MAX_PARAGRAPHS_LENGTH) {
+            return { valid: false, error: 'paragraphs_too_long' };
+        }
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Validate a single pin action
+ * @param {object} action - The action to validate
+ * @returns {object} Object with valid (boolean) and error (string) properties
+ */
+function actionValid(action) {
+    if (!action || typeof action !== 'object') {
+        return { valid: false, error: 'invalid' };
+    }
+
+    if (!action.title || typeof action.title !== 'string') {
+        return { valid: false, error: 'missing_title' };
+    }
+
+    if (!ACTION_TYPES.includes(action.type)) {
+        return { valid: false, error: action.type ? 'unknown_type' : 'missing_type' };
+    }
+
+    if (action.type === 'openWatchApp') {
+        if (action.launchCode === undefined || action.launchCode === null) {
+            return { valid: false, error: 'missing_launch_code' };
+        }
+        if (!Number.isInteger(action.launchCode) || action.launchCode < 0 || action.launchCode > MAX_LAUNCH_CODE) {
+            return { valid: false, error: 'invalid_launch_code' };
+        }
+    }
+
+    if (action.type === 'http') {
+        if (!action.url) {
+            return { valid: false, error: 'missing_url' };
+        }
+        if (typeof action.url !== 'string' || !/^https?:\/\/\S+$/i.test(action.url)) {
+            return { valid: false, error: 'invalid_url' };
+        }
+
+        const method = action.method === undefined ? 'POST' : action.method;
+        if (typeof method !== 'string' || !HTTP_METHODS.includes(method.toUpperCase())) {
+            return { valid: false, error: 'invalid_method' };
+        }
+
+        if (action.headers !== undefined) {
+            if (!action.headers || typeof action.headers !== 'object' || Array.isArray(action.headers) ||
+                !Object.values(action.headers).every(v => typeof v === 'string')) {
+                return { valid: false, error: 'invalid_headers' };
+            }
+        }
+
+        const hasBodyText = action.bodyText !== undefined;
+        const hasBodyJSON = action.bodyJSON !== undefined;
+        if (hasBodyText && hasBodyJSON) {
+            return { valid: false, error: 'multiple_bodies' };
+        }
+        if ((hasBodyText || hasBodyJSON) && BODYLESS_METHODS.includes(method.toUpperCase())) {
+            return { valid: false, error: 'body_not_allowed' };
+        }
+        if (hasBodyText && typeof action.bodyText !== 'string') {
+            return { valid: false, error: 'invalid_body_text' };
+        }
+        if (hasBodyJSON && (!action.bodyJSON || typeof action.bodyJSON !== 'object')) {
+            return { valid: false, error: 'invalid_body_json' };
+        }
+
+        for (const field of ['successText', 'successIcon', 'failureText', 'failureIcon']) {
+            if (action[field] !== undefined && typeof action[field] !== 'string') {
+                return { valid: false, error: `invalid_${field}` };
+            }
+        }
+    }
+
+    return { valid: true };
+}
+
 /**
  * Validate a timeline pin
  * Based on pin_valid from rebble-timeline-sync/timeline_sync/utils.py
  * @param {string} pinId - The pin ID from the URL/request
  * @param {object} pinJson - The pin object to validate
+ * @param {object} [options] - ignoreTimeWindow: accept times outside the window
+ *   the server takes, e.g. for stored pins that are not sent again
  * @returns {object} Object with valid (boolean) and error (string) properties
  */
-function pinValid(pinId, pinJson) {
+function pinValid(pinId, pinJson, options = {}) {
+    const inWindow = options.ignoreTimeWindow ? () => true : timeValid;
     try {
         // Check that pin JSON exists
         if (!pinJson || typeof pinJson !== 'object') {
@@ -65,6 +311,14 @@ function pinValid(pinId, pinJson) {
         if (pinJson.id !== pinId) {
             return { valid: false, error: 'id_mismatch' };
         }
+
+        if (typeof pinJson.id !== 'string' || pinJson.id.length === 0 || pinJson.id.length > MAX_ID_LENGTH) {
+            return { valid: false, error: 'invalid_id' };
+        }
+
+        if (!ID_PATTERN.test(pinJson.id)) {
+            return { valid: false, error: 'invalid_id_characters' };
+        }
         
         // Validate main pin time
         if (!pinJson.time) {
@@ -78,14 +332,32 @@ function pinValid(pinId, pinJson) {
             return { valid: false, error: 'invalid_time_format' };
         }
         
-        if (!timeValid(pinTime)) {
+        if (!inWindow(pinTime)) {
             return { valid: false, error: 'invalid_time' };
         }
+
+        if (pinJson.duration !== undefined &&
+            (!Number.isInteger(pinJson.duration) || pinJson.duration < 0)) {
+            return { valid: false, error: 'invalid_duration' };
+        }
+
+        // Validate the pin layout
+        const pinLayoutResult = layoutValid(pinJson.layout, PIN_LAYOUTS);
+        if (!pinLayoutResult.valid) {
+            return { valid: false, error: `layout_${pinLayoutResult.error}` };
+        }
         
         // Validate createNotification - should NOT have a time attribute
         if (pinJson.createNotification && pinJson.createNotification.time) {
             return { valid: false, error: 'invalid_time_attribute' };
         }
+
+        if (pinJson.createNotification) {
+            const createLayoutResult = layoutValid(pinJson.createNotification.layout, NOTIFICATION_LAYOUTS);
+            if (!createLayoutResult.valid) {
+                return { valid: false, error: `create_notification_${createLayoutResult.error}` };
+            }
+        }
         
         // Validate updateNotification time if present
         if (pinJson.updateNotification && pinJson.updateNotification.time) {
@@ -96,10 +368,17 @@ function pinValid(pinId, pinJson) {
                 return { valid: false, error: 'invalid_update_notification_time_format' };
             }
             
-            if (!timeValid(updateTime)) {
+            if (!inWindow(updateTime)) {
                 return { valid: false, error: 'invalid_time_for_update' };
             }
         }
+
+        if (pinJson.updateNotification) {
+            const updateLayoutResult = layoutValid(pinJson.updateNotification.layout, NOTIFICATION_LAYOUTS);
+            if (!updateLayoutResult.valid) {
+                return { valid: false, error: `update_notification_${updateLayoutResult.error}` };
+            }
+        }
         
         // Validate reminders
         if (pinJson.reminders) {
@@ -111,8 +390,15 @@ function pinValid(pinId, pinJson) {
                 return { valid: false, error: 'too_many_reminders' };
             }
             
+            // Reminders must go off before the event is over
+            const pinEnd = new Date(pinTime.getTime() + (pinJson.duration || 0) * 60 * 1000);
+
             for (let i = 0; i < pinJson.reminders.length; i++) {
                 const reminder = pinJson.reminders[i];
+                if (!reminder || typeof reminder !== 'object') {
+                    return { valid: false, error: `reminder_${i}_invalid` };
+                }
+
                 if (!reminder.time) {
                     return { valid: false, error: `reminder_${i}_missing_time` };
                 }
@@ -124,12 +410,39 @@ function pinValid(pinId, pinJson) {
                     return { valid: false, error: `reminder_${i}_invalid_time_format` };
                 }
                 
-                if (!timeValid(reminderTime)) {
+                if (!inWindow(reminderTime)) {
                     return { valid: false, error: 'invalid_reminder_time' };
                 }
+
+                if (reminderTime > pinEnd) {
+                    return { valid: false, error: `reminder_${i}_after_pin_end` };
+                }
+
+                const reminderLayoutResult = layoutValid(reminder.layout, REMINDER_LAYOUTS);
+                if (!reminderLayoutResult.valid) {
+                    return { valid: false, error: `reminder_${i}_${reminderLayoutResult.error}` };
+                }
             }
         }
         
+        // Validate actions
+        if (pinJson.actions) {
+            if (!Array.isArray(pinJson.actions)) {
+                return { valid: false, error: 'actions_not_array' };
+            }
+
+            if (pinJson.actions.length > MAX_ACTIONS) {
+                return { valid: false, error: 'too_many_actions' };
+            }
+
+            for (let i = 0; i < pinJson.actions.length; i++) {
+                const actionResult = actionValid(pinJson.actions[i]);
+                if (!actionResult.valid) {
+                    return { valid: false, error: `action_${i}_${actionResult.error}` };
+                }
+            }
+        }
+
         return { valid: true };
         
     } catch (error) {
@@ -139,7 +452,15 @@ function pinValid(pinId, pinJson) {
 
 module.exports = {
     pinValid,
+    layoutValid,
+    actionValid,
+    colorValid,
+    colorHex,
     parseTime,
-    timeValid
+    timeValid,
+    ID_PATTERN,
+    PIN_LAYOUTS,
+    NOTIFICATION_LAYOUTS,
+    REMINDER_LAYOUTS
 };
 